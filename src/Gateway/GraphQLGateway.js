@@ -8,147 +8,404 @@
  * @flow
  */
 import { mergeSchemas } from 'graphql-tools';
-import { printSchema, parse, graphql as execute } from 'graphql';
+import {
+  buildSchema,
+  printSchema,
+  parse,
+  validate,
+  execute,
+  specifiedRules,
+  subscribe,
+} from 'graphql';
+import EventEmitter from 'events';
 import difference from 'lodash.difference';
 import selectn from 'selectn';
 import fs from 'fs';
 import { createRemoteSchema } from './createRemoteSchema';
+import { formatError, restoreRemoteError } from './formatError';
+import type { FormattableError } from './formatError';
+import { addErrorCode, GatewayTimeoutError, GraphQLServiceError } from '../errors';
 import { buildRelationalResolvers } from './buildRelationalResolvers';
-import { getRelatedTypes } from './utilities';
+import { addSubscriptions } from './addSubscriptions';
+import {
+  applyAuthRules,
+  checkAuth as defaultCheckAuth,
+  collectAuthRules,
+  removeUnauthorizedFields,
+} from './authDirectives';
+import { getMeta } from './MoleculerLink';
+import { CLOSE_ITERATORS, createEventIterator } from './createEventIterator';
+import { diffSchemas, hasChanges } from './diffSchemas';
+import { createCostLimitRule, createDepthLimitRule } from './queryLimits';
+import { parseRelationships } from './parseRelationships';
+import {
+  getConnectionNodeName,
+  getConnectionTypeDefs,
+  getConnectionTypeNames,
+} from './relationConnections';
+import { findConflicts, getRenames, renameSchema, resolveConflicts } from './schemaConflicts';
+import { validateRelationships } from './validateRelationships';
+import { buildNodeResolvers, getNodeQuery, getNodeTypeDefs, implementNode } from './nodeInterface';
+import type { NodeQueries } from './nodeInterface';
+import { getCachePattern } from './responseCache';
+import {
+  createCacherStore,
+  createMemoryStore,
+  hashQuery,
+  resolvePersistedQuery,
+} from './persistedQueries';
+import {
+  getDefinedTypes,
+  getReferencedTypes,
+  getRelatedTypes,
+  getSchemaHash,
+  getServiceTypes,
+  pruneRelationships,
+} from './utilities';
+import { createTrace, formatTrace, instrumentSchema } from '../tracing';
 
-import type { GraphQLSchema, DocumentNode } from 'graphql';
+import type { GraphQLSchema, DocumentNode, ExecutionResult } from 'graphql';
 import type { ServiceBroker, ServiceWorker } from 'moleculer';
-import type { TypeRelationDefinitions } from '../Types/ServiceConfiguration';
+import type {
+  CostHints,
+  TypeRelationDefinitions,
+  TypeSubscriptionDefinitions,
+} from '../Types/ServiceConfiguration';
+import type { GraphQLTypeName } from '../Types/GraphQL';
+import type { SchemaChange } from './diffSchemas';
+import type { CacheOptions } from './responseCache';
+import type { PersistedQueryOptions, PersistedQueryStore } from './persistedQueries';
+import type { ServiceCallOptions } from './MoleculerLink';
+import type { AuthChecker, AuthRules } from './authDirectives';
+import type { Trace } from '../tracing';
+import type { ConflictStrategy, SchemaConflict } from './schemaConflicts';
+import type { RelationshipError } from './validateRelationships';
 
 opaque type ServiceName = string;
 
 type GatewayOptions = {
   broker: ServiceBroker,
   expectedTypes?: Array<string>,
+  formatError?: (error: FormattableError) => Object,
+  maskErrors?: boolean,
   waitTimeout?: number,
-  waitInterval?: number,
   blacklist?: Array<string>,
+  cache?: boolean | CacheOptions,
+  callOptions?: ServiceCallOptions,
+  checkAuth?: AuthChecker,
+  conflictStrategy?: ConflictStrategy,
+  costHints?: CostHints,
   generateSnapshot?: boolean,
+  maxCost?: number,
+  maxDepth?: number,
+  onSchemaConflict?: (conflicts: Array<SchemaConflict>, service: ServiceWorker) => void,
+  persistedQueries?: boolean | PersistedQueryOptions,
+  rejectBreakingChanges?: boolean,
+  resolvers?: LocalResolvers,
+  services?: ServiceCallOptionMap,
   snapshotPath?: string,
+  strictRelationships?: boolean,
+  tracing?: boolean,
+  typeDefs?: string,
+};
+
+// Resolvers of the gateway's own typeDefs, or a function building them
+type LocalResolvers = Object | (mergeInfo: MergeInfo, broker: ServiceBroker) => Object;
+
+type ServiceCallOptionMap = {
+  [serviceName: string]: ServiceCallOptions,
 };
 
 type RemoteSchemaMap = {
   [TypeName: string]: GraphQLSchema,
 };
 
+type ServiceRelationDefinitions = {
+  [TypeName: string]: TypeRelationDefinitions,
+};
+
+type SchemaHashMap = {
+  [TypeName: string]: string,
+};
+
 type RelationshipSchemas = {
   [TypeName: string]: string,
 };
 
+type GraphQLRequest = {
+  query?: string,
+  extensions?: Object,
+  variables?: Object,
+  operationName?: string,
+  context?: Object,
+};
+
+type AuthRuleMap = {
+  [TypeName: string]: AuthRules,
+};
+
+type CostHintMap = {
+  [TypeName: string]: CostHints,
+};
+
 type GraphQLTypeServiceMap = {
   [type: GraphQLTypeName]: ServiceName
 };
 
+type EventMap = {
+  [TypeName: string]: Array<string>,
+};
+
+type NodeSchemaHashMap = {
+  [nodeID: string]: {
+    [serviceName: ServiceName]: ?string,
+  },
+};
+
+type Readiness = {
+  promise: Promise<GraphQLSchema>,
+  resolve: (schema: GraphQLSchema) => void,
+  reject: (error: Error) => void,
+};
+
+type OwnedTypeMap = {
+  [TypeName: string]: Array<GraphQLTypeName>,
+};
+
+// Maps keyed by type that describe the services a schema is stitched from
+const stitchedStateKeys = [
+  'authRules',
+  'cacheInvalidations',
+  'discoveredTypes',
+  'nodeQueries',
+  'ownedTypes',
+  'relationDefinitions',
+  'relationships',
+  'remoteSchemas',
+  'schemaHashes',
+  'schemaVersions',
+  'serviceCostHints',
+  'subscriptionDefinitions',
+  'subscriptions',
+];
+
 export class GraphQLGateway {
   // Services to ignore
   blacklist: Array<string> = ['$node'];
+  // If true, only persisted queries registered ahead of time can run
+  allowList: boolean = false;
+  // Auth directives found in each remote service's SDL
+  authRules: AuthRuleMap = {};
   // Passed in service broker used to make calls
   broker: ServiceBroker;
+  // Options for caching delegated results in the broker's cacher, disabled when null
+  cache: ?CacheOptions = null;
+  // Events that invalidate the cached results of each remote service
+  cacheInvalidations: EventMap = {};
+  // Timeout, retries, fallback and circuit breaker used when calling any service
+  callOptions: ServiceCallOptions = {};
+  // Decides whether the user in ctx.meta passes the auth directives of a field
+  checkAuth: AuthChecker = defaultCheckAuth;
+  // How types and root fields defined by several services are stitched
+  conflictStrategy: ConflictStrategy = 'acceptIdentical';
+  // Cost hints given to the gateway, these win over the ones from services
+  costHints: CostHints = {};
   // Running list of discovered types and the service that they belong to
   discoveredTypes: GraphQLTypeServiceMap = {};
+  // Events the internal event service currently listens for
+  events: Array<string> = [];
+  // Internal service for listening for subscription and cache invalidation events
+  eventService: Promise<?ServiceWorker> = Promise.resolve(null);
   // Define absolutely necessary types before schema can be complete
   expectedTypes: Array<string> = [];
   // If true, save a snapshot schema file everytime the schema changes
   generateSnapshot: boolean = false;
   // Boolean to track whether the schema has been initialized
   initialized: boolean = false;
+  // Resolvers of the gateway's own typeDefs
+  localResolvers: LocalResolvers = {};
+  // Types and fields the gateway defines itself, stitched once the types they refer to are available
+  localTypeDefs: ?string = null;
+  // Every type provided by each remote schema
+  ownedTypes: OwnedTypeMap = {};
+  // If true, replace the message of internal errors before they reach clients
+  maskErrors: boolean = process.env.NODE_ENV === 'production';
+  // Maximum estimated cost of an operation, unlimited when null
+  maxCost: ?number = null;
+  // Maximum depth of fields in an operation, unlimited when null
+  maxDepth: ?number = null;
+  // Root query field of each type that looks its nodes up by local ID
+  nodeQueries: { [TypeName: string]: string } = {};
+  // Schema hash of the graphql services on each node, as last seen
+  nodeSchemaHashes: NodeSchemaHashMap = {};
   // Method to hook into service discovery.
   onServiceDiscovery: (service: ServiceWorker) => void;
-  // All relationship resolver definitions in the remote schemas
-  relationDefinitions: TypeRelationDefinitions = {};
+  // Method to hook into the conflicts found when a service is stitched
+  onSchemaConflict: (conflicts: Array<SchemaConflict>, service: ServiceWorker) => void;
+  // Settles the promise returned by start() and ready()
+  readiness: ?Readiness = null;
+  // Store of automatic persisted queries, disabled when null
+  persistedQueryStore: ?PersistedQueryStore = null;
+  // Errors returned by services while executing each request, by GraphQL context
+  remoteErrors: WeakMap<Object, Array<Object>> = new WeakMap();
+  // Problems found in the relation definitions when the schema was last stitched
+  relationshipErrors: Array<RelationshipError> = [];
+  // Relationship resolver definitions of each remote service, by extended type
+  relationDefinitions: ServiceRelationDefinitions = {};
   // Additional Schemas for relating objects across services
   relationships: RelationshipSchemas = {};
+  // If true, keep the current schema when a new one has breaking changes
+  rejectBreakingChanges: boolean = false;
+  // Schema hash of the services refused over conflicts, so they aren't retried until it changes
+  refusedServices: { [serviceName: ServiceName]: ?string } = {};
   // Remove Schema map for storing the remote schemas created
   remoteSchemas: RemoteSchemaMap = {};
+  // Hash of the schema each remote schema was built from
+  schemaHashes: SchemaHashMap = {};
+  // Schema hashes seen for each type, in the order they first appeared
+  schemaHistory: { [TypeName: string]: Array<string> } = {};
+  // Schema version declared by the service each remote schema was built from
+  schemaVersions: { [TypeName: string]: number } = {};
+  // Copies of the service state the current schema was stitched from
+  stitchedState: ?{ [key: string]: Object } = null;
+  // Cost hints provided by each remote service
+  serviceCostHints: CostHintMap = {};
+  // Call options of specific services, by service name
+  services: ServiceCallOptionMap = {};
   // The current schema for the gateway, computed by stitching remote schemas
   schema: ?GraphQLSchema = null;
   // Internal service for listening for events
   service: ?ServiceWorker = null;
+  // Subscription schemas of the remote services
+  subscriptions: RelationshipSchemas = {};
+  // All subscription definitions in the remote schemas
+  subscriptionDefinitions: TypeSubscriptionDefinitions = {};
+  // Relays the moleculer events backing subscriptions to their iterators
+  subscriptionEmitter: EventEmitter = new EventEmitter();
   // Path to save the snapshot to
   snapshotPath: string = `${process.cwd()}/schema.snapshot.graphql`;
+  // If true, refuse to publish a schema with invalid relationships
+  strictRelationships: boolean = false;
+  // Whether start() is waiting for the expected types
+  starting: boolean = false;
+  // Rejects start() once waitTimeout has passed
+  timer: ?number = null;
+  // Traces of the requests being executed, by their context
+  traces: WeakMap<Object, Trace> = new WeakMap();
+  // Whether requests are traced and their spans emitted
+  tracing: boolean = false;
   // Length of time in milliseconds to wait for expectedTypes
   waitTimeout: number = 5000;
-  // Interval in milliseconds to poll for expectedTypes
-  waitInterval: number = 100;
 
   handleServiceUpdate = async(opts): Promise<void> => {
     const services = this.broker.services
       .filter(service => service.settings.hasGraphQLSchema)
-      .filter(service => !this.blacklist.includes(service.name))
-      .filter(service => !this.discoveredTypes[service.settings.typeName]);
-
-    if (services.length > 0) {
-      for (const service of services) {
-        this.discoveredTypes[service.settings.typeName] = service.name;
-        await this.buildRemoteSchema(service);
-        if (this.onServiceDiscovery) {
-          this.onServiceDiscovery(service);
-        }
-      }
-      this.generateSchema();
-    }
+      .filter(service => !this.blacklist.includes(service.name));
+    await this.registerServices(this.getChangedServices(this.broker.nodeID, services));
   };
 
   // When nodes connect we scan their services for schemas and add stitch them in
   handleNodeConnection = async ({ node }: Object): Promise<void> => {
     const services = node.services.filter(
-      service => !this.discoveredTypes[service.settings.typeName]
+      service => service.settings.hasGraphQLSchema
         && !this.blacklist.includes(service.name)
-        && service.settings.hasGraphQLSchema
     );
-    if (services.length > 0) {
-      for (const service of services) {
-        this.discoveredTypes[service.settings.typeName] = service.name;
-        await this.buildRemoteSchema(service);
-        if (this.onServiceDiscovery) {
-          this.onServiceDiscovery(service);
-        }
-      }
-      this.generateSchema();
-    }
+    await this.registerServices(this.getChangedServices(node.id, services));
   };
 
-  // When nodes disconnect we scan their services for schemas and remove them
+  // When nodes disconnect we remove the types whose last instance was on that node
   handleNodeDisconnected = async ({ node }: Object): Promise<void> => {
+    delete this.nodeSchemaHashes[node.id];
     const services = node.services.filter(
-      service => this.remoteSchemas[service.settings.typeName]
+      service => service.settings.hasGraphQLSchema
+        && this.discoveredTypes[service.settings.typeName] === service.name
     );
-    if (services.length > 0) {
-      for (const service of services) {
-        await this.buildRemoteSchema(service);
-      }
-      this.generateSchema();
-    }
+    const changed = await Promise.all(services
+      .map(service => this.dropInstance(service.settings.typeName, node.id)));
+    if (changed.some(Boolean)) this.generateSchema();
+  };
+
+  // When a graphql service stops we remove its type unless another instance remains
+  handleServiceDisconnected = async ({ typeName }: Object, sender: string): Promise<void> => {
+    if (this.nodeSchemaHashes[sender]) delete this.nodeSchemaHashes[sender][this.discoveredTypes[typeName]];
+    if (await this.dropInstance(typeName, sender)) this.generateSchema();
   };
 
   constructor(opts: GatewayOptions) {
     this.broker = opts.broker;
     if (opts.expectedTypes) this.expectedTypes = opts.expectedTypes;
-    if (opts.waitInterval) this.waitInterval = opts.waitInterval;
+    if (opts.formatError) this.formatError = opts.formatError;
+    if (opts.maskErrors !== undefined) this.maskErrors = opts.maskErrors;
     if (opts.waitTimeout) this.waitTimeout = opts.waitTimeout;
     if (opts.blacklist) this.blacklist.concat(opts.blacklist);
+    if (opts.cache) {
+      if (!this.broker.cacher) throw new Error('Caching requires a cacher to be configured on the broker');
+      this.cache = opts.cache === true ? {} : opts.cache;
+    }
+    if (opts.callOptions) this.callOptions = opts.callOptions;
+    if (opts.checkAuth) this.checkAuth = opts.checkAuth;
+    if (opts.conflictStrategy) this.conflictStrategy = opts.conflictStrategy;
+    if (opts.costHints) this.costHints = opts.costHints;
+    if (opts.maxCost) this.maxCost = opts.maxCost;
+    if (opts.maxDepth) this.maxDepth = opts.maxDepth;
+    if (opts.persistedQueries) {
+      const {
+        store = 'memory',
+        allowList = false,
+        queries = [],
+        maxSize,
+      } = opts.persistedQueries === true
+        ? {}
+        : opts.persistedQueries;
+      if (store === 'cacher' && !this.broker.cacher) {
+        throw new Error('Persisting queries in the cacher requires a cacher to be configured on the broker');
+      }
+      // Clients can't register queries in allow-list mode, and the allowed ones must not be dropped
+      if (store === 'memory') this.persistedQueryStore = createMemoryStore(allowList ? Infinity : maxSize);
+      else if (store === 'cacher') this.persistedQueryStore = createCacherStore(this.broker.cacher);
+      else this.persistedQueryStore = store;
+      this.allowList = allowList;
+      queries.forEach(query => this.registerPersistedQuery(query));
+    }
     if (opts.generateSnapshot) this.generateSnapshot = opts.generateSnapshot;
     if (opts.snapshotPath) this.snapshotPath = opts.snapshotPath;
+    if (opts.rejectBreakingChanges) this.rejectBreakingChanges = opts.rejectBreakingChanges;
+    if (opts.resolvers) this.localResolvers = opts.resolvers;
+    if (opts.typeDefs) {
+      this.localTypeDefs = opts.typeDefs;
+      // Startup waits for the types the typeDefs refer to, except the ones the gateway generates
+      const referencedTypes = getReferencedTypes(opts.typeDefs)
+        .filter(name => !['Query', 'Mutation', 'Subscription', 'Node', 'PageInfo'].includes(name))
+        .map(getConnectionNodeName);
+      this.expectedTypes = Array.from(new Set(this.expectedTypes.concat(referencedTypes)));
+    }
+    if (opts.services) this.services = opts.services;
+    if (opts.strictRelationships) this.strictRelationships = opts.strictRelationships;
+    if (opts.tracing) this.tracing = opts.tracing;
     if (opts.onServiceDiscovery) this.onServiceDiscovery = opts.onServiceDiscovery;
+    if (opts.onSchemaConflict) this.onSchemaConflict = opts.onSchemaConflict;
+    // Every subscription in progress listens for its event and for CLOSE_ITERATORS
+    this.subscriptionEmitter.setMaxListeners(0);
     this.service = this.broker.createService({
       name: 'gateway',
       events: {
         '$services.changed': this.handleServiceUpdate,
         '$node.connected': this.handleNodeConnection,
+        '$node.updated': this.handleNodeConnection,
         '$node.disconnected': this.handleNodeDisconnected,
+        'graphqlService.disconnected': this.handleServiceDisconnected,
       },
       actions: {
         graphql: {
           params: {
-            query: { type: 'string' },
-            variables: { type: 'object', optional: true }
+            // Optional when the hash of a persisted query is sent in extensions
+            query: { type: 'string', optional: true },
+            variables: { type: 'object', optional: true },
+            operationName: { type: 'string', optional: true },
+            extensions: { type: 'object', optional: true },
           },
-          handler: ctx => execute(this.schema, ctx.params.query, null, null, ctx.params.variables),
+          // The moleculer context is the execution context so that ctx.meta reaches every service
+          handler: ctx => this.execute({ ...ctx.params, context: ctx }),
         },
       },
     });
@@ -171,32 +428,756 @@ export class GraphQLGateway {
   }
 
   async buildRemoteSchema(service: ServiceWorker): Promise<void> {
-    const { settings: { typeName, relationships, relationDefinitions } } = service;
+    const {
+      settings: {
+        typeName,
+        schema: typeDefs,
+        relationships,
+        relationDefinitions,
+        subscriptions,
+        subscriptionDefinitions,
+        costHints,
+        cacheControl,
+        nodeQuery,
+      },
+    } = service;
     if (!this.remoteSchemas[typeName]) {
-      this.remoteSchemas[typeName] = await createRemoteSchema({
+      const remoteSchemaOptions = {
         broker: this.broker,
-        service
-      });
+        service,
+        cache: this.cache,
+        callOptions: { ...this.callOptions, ...this.services[service.name] },
+        onErrors: (context, errors) => {
+          const remoteErrors = context && this.remoteErrors.get(context);
+          if (remoteErrors) remoteErrors.push(...errors);
+        },
+        getTrace: this.tracing ? context => this.getTrace(context) : undefined,
+        selectNode: () => this.selectNode(typeName),
+        filterDocument: (document, context) => this.filterDocument(document, context),
+      };
+      let { schema, schemaHash } = await createRemoteSchema(remoteSchemaOptions);
+      const conflicts = this.checkConflicts(service, schema);
+      if (conflicts.some(({ resolution }) => resolution === 'rejected')) {
+        this.removeType(typeName);
+        this.refusedServices[service.name] = getSchemaHash(service.settings);
+        return;
+      }
+      delete this.refusedServices[service.name];
+      const renames = getRenames(conflicts);
+      if (renames) ({ schema, schemaHash } = await createRemoteSchema({ ...remoteSchemaOptions, renames }));
+      this.remoteSchemas[typeName] = schema;
+      this.schemaHashes[typeName] = schemaHash;
+      if (service.settings.schemaVersion !== undefined) {
+        this.schemaVersions[typeName] = service.settings.schemaVersion;
+      }
       if (relationships) {
-        this.relationships[typeName] = relationships;
-        this.relationDefinitions[typeName] = relationDefinitions;
-        const relatedTypes = getRelatedTypes(parse(relationships));
-        const missingTypes = difference(relatedTypes, this.discoveredTypes);
+        const { schema: relationshipSchema, definitions } = parseRelationships(
+          relationships,
+          relationDefinitions,
+        );
+        this.relationships[typeName] = relationshipSchema;
+        this.relationDefinitions[typeName] = definitions;
+        // Connections are generated, it's the services of their nodes that are expected
+        const connectionNames = getConnectionTypeNames(relationshipSchema, definitions);
+        const relatedTypes = getRelatedTypes(parse(relationshipSchema))
+          .map(name => (connectionNames.includes(name) ? getConnectionNodeName(name) : name));
+        const missingTypes = difference(relatedTypes, Object.keys(this.discoveredTypes));
         this.expectedTypes = this.expectedTypes.concat(missingTypes);
       }
+      if (subscriptions) {
+        this.subscriptions[typeName] = subscriptions;
+        this.subscriptionDefinitions[typeName] = subscriptionDefinitions;
+      }
+      if (costHints) this.serviceCostHints[typeName] = costHints;
+      if (nodeQuery) this.nodeQueries[typeName] = nodeQuery;
+      // Rules follow the prefixed types and root fields to their names in the gateway
+      const authRules = collectAuthRules([
+        typeDefs && renames ? renameSchema(typeDefs, renames) : typeDefs,
+        relationships,
+        subscriptions,
+      ]);
+      if (Object.keys(authRules).length > 0) this.authRules[typeName] = authRules;
+      if (cacheControl && cacheControl.invalidateOn) {
+        this.cacheInvalidations[typeName] = cacheControl.invalidateOn;
+      }
+    }
+  }
+
+  /**
+   * Finds the types and root fields a service defines that are already
+   * stitched, resolves them with the conflict strategy and reports them
+   * through the logger and the onSchemaConflict hook.
+   */
+  checkConflicts(service: ServiceWorker, schema: GraphQLSchema): Array<SchemaConflict> {
+    const stitched = Object.keys(this.remoteSchemas)
+      .filter(typeName => typeName !== service.settings.typeName)
+      .map(typeName => ({ service: this.discoveredTypes[typeName], schema: this.remoteSchemas[typeName] }));
+    const conflicts = resolveConflicts(findConflicts(service.name, schema, stitched), this.conflictStrategy);
+    if (conflicts.length === 0) return conflicts;
+    if (this.broker.logger) {
+      conflicts.forEach(({ kind, name, service: owner, conflictingService, resolution, renamedTo }) => {
+        const conflict = `${kind === 'type' ? 'Type' : 'Field'} ${name} of the ${conflictingService} service is already defined by the ${owner} service`;
+        if (resolution === 'accepted') {
+          this.broker.logger.info(`${conflict}, the identical definitions are shared`);
+        } else if (resolution === 'prefixed') {
+          this.broker.logger.warn(`${conflict}, it was renamed to ${renamedTo || ''}`);
+        } else {
+          this.broker.logger.error(`${conflict}, the ${conflictingService} service was not stitched`);
+        }
+      });
+    }
+    if (this.onSchemaConflict) this.onSchemaConflict(conflicts, service);
+    return conflicts;
+  }
+
+  generateSchema(): ?GraphQLSchema {
+    const schema = this.stitchSchema();
+    if (schema && !this.checkRelationships(schema)) return this.schema;
+    // Once initialized, changes are compared against the schema clients currently use
+    if (this.initialized && this.schema) {
+      const breaking = schema
+        ? this.checkSchemaChanges(this.schema, schema)
+        : [{ type: 'SCHEMA_REMOVED', description: 'No GraphQL services are left.' }];
+      if (breaking.length > 0 && this.rejectBreakingChanges) {
+        if (this.broker.logger) {
+          this.broker.logger.error('Refused to adopt a schema with breaking changes');
+        }
+        // Calls keep being routed the way the schema still in use expects
+        this.restoreStitchedState();
+        return this.schema;
+      }
+    }
+    this.schema = schema;
+    this.saveStitchedState();
+    this.listenForEvents();
+    if (this.initialized && this.generateSnapshot) this.recordSnapshot();
+    return this.schema;
+  }
+
+  // Remember the service state the schema was stitched from
+  saveStitchedState(): void {
+    const gateway: Object = this;
+    const state = {};
+    stitchedStateKeys.forEach((key) => {
+      state[key] = { ...gateway[key] };
+    });
+    this.stitchedState = state;
+  }
+
+  // Go back to the service state the current schema was stitched from
+  restoreStitchedState(): void {
+    const gateway: Object = this;
+    const state = this.stitchedState;
+    if (!state) return;
+    stitchedStateKeys.forEach((key) => {
+      gateway[key] = { ...state[key] };
+    });
+  }
+
+  /**
+   * Validates the relation definitions of every service against a
+   * stitched schema and logs the problems found. Resolves to false when
+   * the schema mustn't be published, in strict mode.
+   */
+  checkRelationships(schema: GraphQLSchema): boolean {
+    this.relationshipErrors = validateRelationships(
+      schema,
+      this.relationDefinitions,
+      typeName => this.discoveredTypes[typeName],
+    );
+    if (this.relationshipErrors.length === 0) return true;
+    if (this.broker.logger) {
+      const log = this.strictRelationships ? this.broker.logger.error : this.broker.logger.warn;
+      this.relationshipErrors.forEach(({ service, type, field, message }) => {
+        log.call(this.broker.logger, `Invalid relationship ${type}.${field} of the ${service || 'unknown'} service: ${message}`);
+      });
+      if (this.strictRelationships) {
+        this.broker.logger.error('Refused to publish a schema with invalid relationships');
+      }
     }
+    return !this.strictRelationships;
   }
 
-  generateSchema(): GraphQLSchema {
-    const schemas = Object.values(this.remoteSchemas).concat(Object.values(this.relationships));
-    const resolvers = buildRelationalResolvers(this.relationDefinitions);
-    this.schema = mergeSchemas({
+  stitchSchema(): ?GraphQLSchema {
+    const remoteSchemas = Object.values(this.remoteSchemas);
+    if (remoteSchemas.length === 0) return null;
+    const { relationships, relationDefinitions, connectionTypes } = this.getAvailableRelationships();
+    const nodeQueries = this.getNodeQueries();
+    const nodeTypeDefs = Object.keys(nodeQueries).length > 0
+      ? getNodeTypeDefs(nodeQueries)
+      : null;
+    const availableTypes = this.getRemoteTypeNames().concat(
+      connectionTypes ? getDefinedTypes(connectionTypes) : [],
+      nodeTypeDefs ? ['Node'] : [],
+    );
+    const localTypeDefs = this.getLocalTypeDefs(availableTypes);
+    const schemas = remoteSchemas.concat(
+      connectionTypes || [],
+      relationships,
+      nodeTypeDefs || [],
+      localTypeDefs || [],
+    );
+    const relationalResolvers = buildRelationalResolvers(
+      relationDefinitions,
+      undefined,
+      this.tracing
+        ? {
+          getTrace: context => this.getTrace(context),
+          getServiceName: (operation, fieldName) => this.getRootFieldService(operation, fieldName),
+        }
+        : undefined,
+    );
+    let schema = mergeSchemas({
       schemas,
-      resolvers,
+      resolvers: (mergeInfo) => {
+        const resolvers = relationalResolvers(mergeInfo);
+        const addResolvers = (typeResolvers) => {
+          Object.keys(typeResolvers).forEach((typeName) => {
+            resolvers[typeName] = { ...resolvers[typeName], ...typeResolvers[typeName] };
+          });
+        };
+        if (nodeTypeDefs) addResolvers(buildNodeResolvers(nodeQueries)(mergeInfo));
+        if (localTypeDefs) {
+          addResolvers(typeof this.localResolvers === 'function'
+            ? this.localResolvers(mergeInfo, this.broker)
+            : this.localResolvers);
+        }
+        return resolvers;
+      },
     });
-    this.schema = this.alphabetizeSchema(this.schema);
-    if (this.generateSnapshot) this.recordSnapshot();
-    return this.schema;
+    if (nodeTypeDefs) schema = implementNode(schema, nodeQueries);
+    schema = this.alphabetizeSchema(schema);
+    schema = addSubscriptions(
+      schema,
+      this.subscriptions,
+      this.subscriptionDefinitions,
+      (eventName, filter) => createEventIterator(this.subscriptionEmitter, eventName, filter),
+    );
+    schema = applyAuthRules(schema, this.getAuthRules(), this.checkAuth);
+    return this.tracing ? instrumentSchema(schema, context => this.getTrace(context)) : schema;
+  }
+
+  /**
+   * The gateway's own typeDefs are stitched once every type they refer
+   * to or extend is available, they are left out until then.
+   */
+  getLocalTypeDefs(availableTypes: Array<string>): ?string {
+    if (!this.localTypeDefs) return null;
+    const missingTypes = difference(getReferencedTypes(this.localTypeDefs), availableTypes);
+    if (missingTypes.length === 0) return this.localTypeDefs;
+    if (this.broker.logger) {
+      this.broker.logger.warn(`The gateway typeDefs are left out until the ${missingTypes.join(', ')} types are available`);
+    }
+    return null;
+  }
+
+  /**
+   * Describes the node queries services registered from their schemas.
+   * Types whose node query isn't a root field taking their local ID are
+   * left out of the Node interface, and so is every type when a service
+   * already defines a Node type or node fields of its own.
+   */
+  getNodeQueries(): NodeQueries {
+    const nodeQueries = {};
+    const typeNames = Object.keys(this.nodeQueries).filter(typeName => this.remoteSchemas[typeName]);
+    if (typeNames.length === 0) return nodeQueries;
+    const logger = this.broker.logger;
+    if (this.getRemoteTypeNames().includes('Node')
+      || this.getRootFieldService('query', 'node')
+      || this.getRootFieldService('query', 'nodes')) {
+      if (logger) logger.warn('A service already defines a Node type or node fields, the Node interface is left out');
+      return nodeQueries;
+    }
+    typeNames.forEach((typeName) => {
+      const fieldName = this.nodeQueries[typeName];
+      const nodeQuery = getNodeQuery(this.remoteSchemas[typeName], typeName, fieldName);
+      if (nodeQuery) {
+        nodeQueries[typeName] = nodeQuery;
+      } else if (logger) {
+        logger.warn(`The ${fieldName} node query of the ${typeName} type isn't a root field taking its id, or one of its fields when it has none`);
+      }
+    });
+    return nodeQueries;
+  }
+
+  // Names of every type the remote schemas define
+  getRemoteTypeNames(): Array<string> {
+    return Object.keys(this.remoteSchemas)
+      .reduce((types, service) => types.concat(Object.keys(this.remoteSchemas[service].getTypeMap())), []);
+  }
+
+  getTrace(context: ?Object): ?Trace {
+    return context ? this.traces.get(context) : null;
+  }
+
+  // Name of the service whose schema defines a root field
+  getRootFieldService(operation: 'query' | 'mutation', fieldName: string): ?string {
+    const typeName = Object.keys(this.remoteSchemas).find((type) => {
+      const schema = this.remoteSchemas[type];
+      const rootType = operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+      return Boolean(rootType && rootType.getFields()[fieldName]);
+    });
+    return typeName ? this.discoveredTypes[typeName] : null;
+  }
+
+  // Removes the protected fields the caller may not see before a document reaches a service
+  filterDocument(document: DocumentNode, context: ?Object): DocumentNode {
+    const { schema } = this;
+    const rules = this.getAuthRules();
+    if (!schema || Object.keys(rules).length === 0) return document;
+    const meta = getMeta(context) || {};
+    return removeUnauthorizedFields(document, schema, rules, this.checkAuth, meta.user);
+  }
+
+  // Auth rules of every service, by type and field
+  getAuthRules(): AuthRules {
+    const rules = {};
+    Object.keys(this.authRules).forEach((serviceTypeName) => {
+      const serviceRules = this.authRules[serviceTypeName];
+      Object.keys(serviceRules).forEach((typeName) => {
+        rules[typeName] = { ...rules[typeName], ...serviceRules[typeName] };
+      });
+    });
+    return rules;
+  }
+
+  /**
+   * Classifies the changes between two schemas, reports them through the
+   * logger and a `gateway.schema.changed` event, and returns the breaking ones.
+   */
+  checkSchemaChanges(previous: GraphQLSchema, next: GraphQLSchema): Array<SchemaChange> {
+    const diff = diffSchemas(previous, next);
+    if (!hasChanges(diff)) return [];
+    const adopted = !(this.rejectBreakingChanges && diff.breaking.length > 0);
+    if (this.broker.logger) {
+      diff.breaking.forEach(change => this.broker.logger.warn(`Breaking schema change: ${change.description}`));
+      diff.dangerous.forEach(change => this.broker.logger.warn(`Dangerous schema change: ${change.description}`));
+      diff.safe.forEach(change => this.broker.logger.info(`Schema change: ${change.description}`));
+    }
+    this.broker.broadcast('gateway.schema.changed', { ...diff, adopted });
+    return diff.breaking;
+  }
+
+  // Read the last recorded snapshot, if there is one
+  readSnapshot(): ?GraphQLSchema {
+    if (!this.generateSnapshot || !fs.existsSync(this.snapshotPath)) return null;
+    try {
+      return buildSchema(fs.readFileSync(this.snapshotPath, 'utf8'));
+    } catch (err) {
+      if (this.broker.logger) {
+        this.broker.logger.warn(`Unable to read the schema snapshot at ${this.snapshotPath}`, err);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Relationships are pruned down to the fields whose types are still
+   * provided by a remote schema, so a departed service never leaves
+   * dangling fields behind on the types that pointed at it. Connection
+   * types of relationships that no service defines are generated.
+   */
+  getAvailableRelationships(): {
+    relationships: Array<string>,
+    relationDefinitions: TypeRelationDefinitions,
+    connectionTypes: ?string,
+  } {
+    const definedTypes = this.getRemoteTypeNames();
+    const connectionNames = Object.keys(this.relationships).reduce((names, typeName) => names.concat(
+      getConnectionTypeNames(this.relationships[typeName], this.relationDefinitions[typeName] || {}),
+    ), []);
+    const connectionTypes = getConnectionTypeDefs(connectionNames, definedTypes);
+    const availableTypes = connectionTypes
+      ? definedTypes.concat(getDefinedTypes(connectionTypes))
+      : definedTypes;
+    const relationships = [];
+    const relationDefinitions = {};
+    for (const typeName of Object.keys(this.relationships)) {
+      const pruned = pruneRelationships(this.relationships[typeName], availableTypes);
+      if (!pruned) continue;
+      relationships.push(pruned.schema);
+      const definitions = this.relationDefinitions[typeName] || {};
+      for (const extendedType of Object.keys(pruned.fields)) {
+        const typeDefinitions = definitions[extendedType] || {};
+        pruned.fields[extendedType]
+          .filter(fieldName => typeDefinitions[fieldName])
+          .forEach((fieldName) => {
+            relationDefinitions[extendedType] = {
+              ...relationDefinitions[extendedType],
+              [fieldName]: typeDefinitions[fieldName],
+            };
+          });
+      }
+    }
+    return { relationships, relationDefinitions, connectionTypes };
+  }
+
+  // Record every type a service provides, the schema is stored under its first type
+  discoverTypes(service: ServiceWorker): void {
+    const types = getServiceTypes(service.settings);
+    this.ownedTypes[service.settings.typeName] = types;
+    types.forEach((type) => {
+      this.discoveredTypes[type] = service.name;
+    });
+  }
+
+  /**
+   * Picks the services of a node whose schema the gateway hasn't stitched
+   * yet: services of new types, and services whose schema changed on
+   * that node since it was last seen to one newer than the stitched
+   * schema, such as a new version rolling out. Instances of an older
+   * version, like a restarted pod during a rollout, are left alone.
+   */
+  getChangedServices(nodeID: string, services: Array<ServiceWorker>): Array<ServiceWorker> {
+    const previousHashes = this.nodeSchemaHashes[nodeID] || {};
+    const nodeHashes = {};
+    services.forEach((service) => {
+      const hash = getSchemaHash(service.settings);
+      nodeHashes[service.name] = hash;
+      this.recordSchema(service.settings.typeName, hash);
+    });
+    this.nodeSchemaHashes[nodeID] = nodeHashes;
+    return services.filter(({ name, settings }) => {
+      const hash = nodeHashes[name];
+      const { typeName } = settings;
+      if (!this.ownedTypes[typeName]) {
+        return !(name in this.refusedServices) || this.refusedServices[name] !== hash;
+      }
+      return Boolean(hash)
+        && hash !== this.schemaHashes[typeName]
+        && hash !== previousHashes[name]
+        && this.compareSchemas(typeName, settings, this.getStitchedSettings(typeName)) > 0;
+    });
+  }
+
+  // Remember when the gateway first saw a schema of a type
+  recordSchema(typeName: GraphQLTypeName, hash: ?string): void {
+    const history = this.schemaHistory[typeName] || [];
+    if (hash && !history.includes(hash)) this.schemaHistory[typeName] = history.concat(hash);
+  }
+
+  // Hash and declared version of the schema stitched for a type
+  getStitchedSettings(typeName: GraphQLTypeName): Object {
+    return {
+      schemaHash: this.schemaHashes[typeName],
+      schemaVersion: this.schemaVersions[typeName],
+    };
+  }
+
+  /**
+   * Orders two schemas of a type, newest last. Versions declared with
+   * the `schemaVersion` option of the mixin are compared when both
+   * schemas have one, otherwise the schema the gateway saw first is
+   * the oldest.
+   */
+  compareSchemas(typeName: GraphQLTypeName, a: Object, b: Object): number {
+    if (typeof a.schemaVersion === 'number' && typeof b.schemaVersion === 'number') {
+      return a.schemaVersion - b.schemaVersion;
+    }
+    const history = this.schemaHistory[typeName] || [];
+    const seenAt = (settings: Object): number => history.findIndex(hash => hash === getSchemaHash(settings));
+    return seenAt(a) - seenAt(b);
+  }
+
+  async registerServices(services: Array<ServiceWorker>): Promise<void> {
+    if (services.length === 0) return;
+    for (const service of services) {
+      const { typeName } = service.settings;
+      if (this.ownedTypes[typeName]) {
+        this.replaceType(typeName, service);
+      } else {
+        this.discoverTypes(service);
+      }
+      try {
+        await this.buildRemoteSchema(service);
+      } catch (err) {
+        this.refuseService(service, err);
+      }
+      // Services whose schema conflicts with the stitched ones, or can't be read, are refused
+      if (!this.remoteSchemas[typeName]) continue;
+      if (this.onServiceDiscovery) {
+        this.onServiceDiscovery(service);
+      }
+    }
+    // Finishing startup generates the schema, once the pending types have settled
+    if (!this.checkReady()) this.generateSchema();
+  }
+
+  /**
+   * Leaves out a service whose schema can't be stitched, such as one with
+   * a malformed @relation, so it doesn't hold up the other services. It
+   * isn't retried until its schema changes.
+   */
+  refuseService(service: ServiceWorker, err: Error): void {
+    this.removeType(service.settings.typeName);
+    this.refusedServices[service.name] = getSchemaHash(service.settings);
+    if (this.broker.logger) {
+      this.broker.logger.error(`The ${service.name} service was not stitched: ${err.message}`);
+    }
+  }
+
+  // Swap the schema of a type for the one a service now publishes
+  replaceType(typeName: GraphQLTypeName, service: ServiceWorker): void {
+    if (this.broker.logger) {
+      this.broker.logger.info(`Schema of the ${service.name} service changed, rebuilding the gateway schema`);
+    }
+    this.removeType(typeName);
+    this.discoverTypes(service);
+  }
+
+  // Available graphql endpoints of a service, optionally ignoring a node
+  getInstances(serviceName: ServiceName, excludeNodeID?: string): Array<Object> {
+    const endpoints = this.broker.registry.getActionEndpoints(`${serviceName}.graphql`);
+    if (!endpoints) return [];
+    return endpoints.endpoints
+      .filter(endpoint => endpoint.isAvailable && endpoint.node.id !== excludeNodeID);
+  }
+
+  // Check whether a service can still answer queries, optionally ignoring a node
+  hasInstances(serviceName: ServiceName, excludeNodeID?: string): boolean {
+    return this.getInstances(serviceName, excludeNodeID).length > 0;
+  }
+
+  // Instances of a type's service that serve the schema stitched for it
+  getCompatibleInstances(typeName: GraphQLTypeName, excludeNodeID?: string): Array<Object> {
+    return this.getInstances(this.discoveredTypes[typeName], excludeNodeID).filter((endpoint) => {
+      const hash = getSchemaHash(endpoint.service.settings);
+      return !hash || hash === this.schemaHashes[typeName];
+    });
+  }
+
+  /**
+   * Picks the node a call for a type is sent to. Calls are left to the
+   * broker's balancer while every instance serves the stitched schema,
+   * and only sent to the instances that do while versions are mixed.
+   */
+  selectNode(typeName: GraphQLTypeName): ?string {
+    const serviceName = this.discoveredTypes[typeName];
+    const instances = this.getInstances(serviceName);
+    const compatible = this.getCompatibleInstances(typeName);
+    if (compatible.length === instances.length) return null;
+    if (compatible.length === 0) {
+      throw new GraphQLServiceError(
+        `No instance of the ${serviceName} service serves its current schema`,
+        'SERVICE_UNAVAILABLE',
+      );
+    }
+    return compatible[Math.floor(Math.random() * compatible.length)].node.id;
+  }
+
+  /**
+   * Handles an instance of a type's service going away. The type is
+   * removed when it was the last instance, and rebuilt from the newest
+   * of the remaining ones when none of them serve the stitched schema
+   * anymore.
+   * Resolves to whether the type changed.
+   */
+  async dropInstance(typeName: GraphQLTypeName, nodeID: string): Promise<boolean> {
+    const serviceName = this.discoveredTypes[typeName];
+    if (!serviceName) return false;
+    const instances = this.getInstances(serviceName, nodeID);
+    if (instances.length === 0) {
+      this.removeType(typeName);
+      return true;
+    }
+    if (this.getCompatibleInstances(typeName, nodeID).length > 0) return false;
+    const [{ service }] = instances
+      .slice()
+      .sort((a, b) => this.compareSchemas(typeName, b.service.settings, a.service.settings));
+    this.replaceType(typeName, service);
+    try {
+      await this.buildRemoteSchema(service);
+    } catch (err) {
+      this.refuseService(service, err);
+    }
+    return true;
+  }
+
+  // Forget everything the gateway knows about a type, along with the other types of its service
+  removeType(typeName: GraphQLTypeName): void {
+    delete this.remoteSchemas[typeName];
+    delete this.schemaHashes[typeName];
+    delete this.schemaVersions[typeName];
+    delete this.relationships[typeName];
+    delete this.relationDefinitions[typeName];
+    delete this.subscriptions[typeName];
+    delete this.subscriptionDefinitions[typeName];
+    delete this.serviceCostHints[typeName];
+    delete this.nodeQueries[typeName];
+    delete this.authRules[typeName];
+    delete this.cacheInvalidations[typeName];
+    const types = this.ownedTypes[typeName] || [typeName];
+    types.forEach((type) => {
+      delete this.discoveredTypes[type];
+    });
+    delete this.ownedTypes[typeName];
+    if (this.broker.logger) {
+      this.broker.logger.info(`Removed ${types.join(', ')} types from the gateway schema`);
+    }
+  }
+
+  /**
+   * Subscription fields and cache invalidations are backed by moleculer
+   * events, which can only be declared when a service is created. The
+   * internal event service is replaced whenever the set of events changes.
+   */
+  listenForEvents(): void {
+    const subscriptionEvents = Object.keys(this.subscriptionDefinitions)
+      .reduce((allEvents, typeName) => {
+        const definitions = this.subscriptionDefinitions[typeName] || {};
+        return allEvents.concat(Object.keys(definitions).map(fieldName => definitions[fieldName].event));
+      }, []);
+    const invalidationEvents = this.cache
+      ? Object.keys(this.cacheInvalidations)
+        .reduce((allEvents, typeName) => allEvents.concat(this.cacheInvalidations[typeName]), [])
+      : [];
+    const events = subscriptionEvents.concat(invalidationEvents)
+      .filter((event, idx, allEvents) => allEvents.indexOf(event) === idx)
+      .sort();
+    if (JSON.stringify(events) === JSON.stringify(this.events)) return;
+    this.events = events;
+    this.eventService = this.eventService
+      .then(service => service && this.broker.destroyService(service))
+      .then(() => {
+        if (events.length === 0) return null;
+        const handlers = {};
+        events.forEach((event) => {
+          handlers[event] = (payload) => {
+            this.subscriptionEmitter.emit(event, payload);
+            return this.invalidateCache(event);
+          };
+        });
+        return this.broker.createService({ name: 'gateway-events', events: handlers });
+      });
+  }
+
+  // Drop the cached results of every service invalidated by an event
+  invalidateCache(event: string): Promise<void> {
+    if (!this.cache) return Promise.resolve();
+    const services = Object.keys(this.cacheInvalidations)
+      .filter(typeName => this.cacheInvalidations[typeName].includes(event))
+      .map(typeName => this.discoveredTypes[typeName]);
+    return Promise.all(services.map(service => this.broker.cacher.clean(getCachePattern(service))))
+      .then(() => undefined);
+  }
+
+  /**
+   * Merge the cost hints of every service with the ones given to the
+   * gateway, field by field.
+   */
+  getCostHints(): CostHints {
+    const hints = {};
+    Object.keys(this.serviceCostHints)
+      .map(typeName => this.serviceCostHints[typeName])
+      .concat(this.costHints)
+      .forEach((typeHints) => {
+        Object.keys(typeHints).forEach((typeName) => {
+          hints[typeName] = { ...hints[typeName], ...typeHints[typeName] };
+        });
+      });
+    return hints;
+  }
+
+  // The standard validation rules plus the configured query limits
+  getValidationRules(): Array<Function> {
+    const rules = [...specifiedRules];
+    if (this.maxDepth) rules.push(createDepthLimitRule(this.maxDepth));
+    if (this.maxCost) rules.push(createCostLimitRule(this.maxCost, this.getCostHints()));
+    return rules;
+  }
+
+  // Register a query ahead of time, resolves to the hash clients send for it
+  registerPersistedQuery(query: string): Promise<string> {
+    const store = this.persistedQueryStore;
+    if (!store) return Promise.reject(new Error('Persisted queries are not enabled'));
+    const hash = hashQuery(query);
+    return store.set(hash, query).then(() => hash);
+  }
+
+  /**
+   * Parse and validate a request, after looking up its document when
+   * persisted queries are enabled. Queries breaking a limit are turned
+   * away here, before any part of them is delegated to a service. The
+   * document comes with the schema it was validated against.
+   */
+  async parseRequest({
+    query,
+    extensions,
+  }: GraphQLRequest): Promise<{ document?: DocumentNode, schema?: GraphQLSchema, errors?: $ReadOnlyArray<FormattableError> }> {
+    const { schema } = this;
+    if (!schema) throw new Error('Gateway schema has not been generated');
+    const resolved = this.persistedQueryStore
+      ? await resolvePersistedQuery(this.persistedQueryStore, { query, extensions }, this.allowList)
+      : { query };
+    if (resolved.errors) return { errors: resolved.errors };
+    if (!resolved.query) return { errors: [new GraphQLServiceError('Must provide query string.', 'BAD_REQUEST')] };
+    let document;
+    try {
+      document = parse(resolved.query);
+    } catch (err) {
+      return { errors: [addErrorCode(err, 'GRAPHQL_PARSE_FAILED')] };
+    }
+    const errors = validate(schema, document, this.getValidationRules());
+    if (errors.length > 0) {
+      return { errors: errors.map(error => addErrorCode(error, 'GRAPHQL_VALIDATION_FAILED')) };
+    }
+    return { document, schema };
+  }
+
+  // Formats errors for clients, replaced by the formatError option when given
+  formatError: (error: FormattableError) => Object = error => formatError(error, {
+    maskErrors: this.maskErrors,
+    logger: this.broker.logger,
+    nodeID: this.broker.nodeID,
+  });
+
+  /**
+   * Execute a query or mutation against the stitched schema. The errors
+   * services return are collected so their extensions can be restored
+   * on the stitched errors before those are formatted. When tracing,
+   * the spans of the request are emitted as `gateway.tracing.span`
+   * events and returned in `extensions.tracing` if the request asks.
+   */
+  async execute(request: GraphQLRequest): Promise<ExecutionResult> {
+    const { variables, operationName, extensions } = request;
+    const context = request.context || {};
+    const { document, schema, errors = [] } = await this.parseRequest(request);
+    if (!document || !schema) return { errors: errors.map(error => this.formatError(error)) };
+    this.remoteErrors.set(context, []);
+    const trace = this.tracing ? createTrace() : null;
+    if (trace) this.traces.set(context, trace);
+    try {
+      const executed = await execute(schema, document, null, context, variables, operationName);
+      const result = { ...executed };
+      const executionErrors = executed.errors;
+      if (executionErrors) {
+        const remoteErrors = this.remoteErrors.get(context) || [];
+        result.errors = executionErrors
+          .map(error => this.formatError(restoreRemoteError(error, remoteErrors)));
+      }
+      if (trace) {
+        trace.spans.forEach(span => this.broker.emit('gateway.tracing.span', span));
+        if (extensions && extensions.tracing) {
+          result.extensions = { tracing: formatTrace(trace) };
+        }
+      }
+      return result;
+    } finally {
+      this.remoteErrors.delete(context);
+      this.traces.delete(context);
+    }
+  }
+
+  /**
+   * Subscribe to a subscription operation against the stitched schema.
+   * Resolves to an AsyncIterator of results, or to a result holding the
+   * errors when the document can't be subscribed to.
+   */
+  async subscribe(request: GraphQLRequest): Promise<AsyncIterator<ExecutionResult> | ExecutionResult> {
+    const { variables, operationName, context } = request;
+    const { document, schema, errors = [] } = await this.parseRequest(request);
+    if (!document || !schema) return { errors: errors.map(error => this.formatError(error)) };
+    return subscribe(schema, document, null, context, variables, operationName);
   }
 
   recordSnapshot(): void {
@@ -206,32 +1187,112 @@ export class GraphQLGateway {
   }
 
   /**
-   * Wait for services expected
+   * Wait for the expected types. Resolves with the schema as soon as
+   * every expected type has been discovered and its schema built, or
+   * rejects with a GatewayTimeoutError after waitTimeout milliseconds.
    */
   start(): Promise<GraphQLSchema> {
-    return new Promise((resolve, reject) => {
-      const maxTries = this.waitTimeout / this.waitInterval;
-      let tries = 0;
-      this.timer = setInterval(() => {
-        tries++;
-        if (tries >= maxTries) {
-          reject(new Error('Timeout'));
-        }
-        const discoveredTypes = Object.keys(this.discoveredTypes);
-        const undiscovered = difference(this.expectedTypes, discoveredTypes);
-        if (discoveredTypes.length === 0) return;
-        if (discoveredTypes.some(type => !this.remoteSchemas[type])) return;
-        if (undiscovered.length > 0) {
-          if (this.broker.logger) {
-            const msg = `Still waiting for ${undiscovered.join(', ')} types to be discovered`;
-            this.broker.logger.warn(msg);
-          }
-          return;
-        }
-        clearInterval(this.timer);
-        this.generateSchema();
-        resolve(this.schema);
-      }, this.waitInterval);
-    });
+    const { promise } = this.getReadiness();
+    // Already started, there is nothing left to wait for
+    if (this.initialized) return promise;
+    if (!this.starting) {
+      this.starting = true;
+      this.timer = setTimeout(() => {
+        const { undiscovered, pending } = this.getMissingTypes();
+        this.settle(new GatewayTimeoutError(undiscovered, pending));
+      }, this.waitTimeout);
+      this.checkReady();
+    }
+    return promise;
+  }
+
+  // Resolves with the schema once start() has
+  ready(): Promise<GraphQLSchema> {
+    return this.getReadiness().promise;
+  }
+
+  getReadiness(): Readiness {
+    if (!this.readiness) {
+      const readiness = {};
+      readiness.promise = new Promise((resolve, reject) => {
+        readiness.resolve = resolve;
+        readiness.reject = reject;
+      });
+      this.readiness = readiness;
+    }
+    return this.readiness;
+  }
+
+  // Expected types that haven't been discovered, and discovered types whose schema isn't built
+  getMissingTypes(): { undiscovered: Array<string>, pending: Array<string> } {
+    return {
+      undiscovered: difference(this.expectedTypes, Object.keys(this.discoveredTypes)),
+      pending: Object.keys(this.ownedTypes).filter(type => !this.remoteSchemas[type]),
+    };
+  }
+
+  /**
+   * Called whenever types are added, finishes starting once none are
+   * missing. Returns whether it generated the schema to do so.
+   */
+  checkReady(): boolean {
+    if (!this.starting || this.initialized) return false;
+    const { undiscovered, pending } = this.getMissingTypes();
+    if (Object.keys(this.discoveredTypes).length === 0 || pending.length > 0) return false;
+    if (undiscovered.length > 0) {
+      if (this.broker.logger) {
+        this.broker.logger.info(`Still waiting for ${undiscovered.join(', ')} types to be discovered`);
+      }
+      return false;
+    }
+    // The schema is compared with the snapshot recorded by the last run
+    const snapshot = this.readSnapshot();
+    this.generateSchema();
+    if (this.strictRelationships && this.relationshipErrors.length > 0) {
+      const messages = this.relationshipErrors
+        .map(({ type, field, message }) => `${type}.${field} ${message}.`);
+      this.settle(new Error(`Schema has invalid relationships: ${messages.join(' ')}`));
+      return true;
+    }
+    const breaking = snapshot && this.schema ? this.checkSchemaChanges(snapshot, this.schema) : [];
+    if (breaking.length > 0 && this.rejectBreakingChanges) {
+      this.settle(new Error(`Schema has breaking changes: ${breaking.map(change => change.description).join(' ')}`));
+      return true;
+    }
+    this.initialized = true;
+    if (this.generateSnapshot) this.recordSnapshot();
+    this.settle();
+    return true;
+  }
+
+  // Ends startup, a failed one can be retried by calling start() again
+  settle(error?: Error): void {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.starting = false;
+    const readiness = this.getReadiness();
+    const { schema } = this;
+    if (error || !schema) {
+      this.readiness = null;
+      readiness.reject(error || new Error('Gateway schema has not been generated'));
+    } else {
+      readiness.resolve(schema);
+    }
+  }
+
+  /**
+   * Tear down the gateway: stop waiting for types, destroy the gateway
+   * and event services, and end the subscriptions in progress.
+   */
+  async stop(): Promise<void> {
+    if (this.starting) this.settle(new Error('The gateway was stopped before it was ready'));
+    const eventService = await this.eventService;
+    this.eventService = Promise.resolve(null);
+    this.events = [];
+    if (eventService) await this.broker.destroyService(eventService);
+    if (this.service) await this.broker.destroyService(this.service);
+    this.service = null;
+    this.subscriptionEmitter.emit(CLOSE_ITERATORS);
+    this.subscriptionEmitter.removeAllListeners();
   }
 }
@@ -1,36 +1,183 @@
 // @flow
 import { ApolloLink, Observable, RequestHandler } from 'apollo-link';
+import { Context } from 'moleculer';
 import { print } from 'graphql/language/printer';
-import type { ExecutionResult } from 'graphql';
+import { getOperationAST } from 'graphql';
+import { callWithCache } from './responseCache';
+import { createCircuitBreaker } from './circuitBreaker';
+import { measure } from '../tracing';
+import { renameTypenames, restoreNames } from './schemaConflicts';
+import type { DocumentNode, ExecutionResult } from 'graphql';
+import type { LinkCacheOptions } from './responseCache';
+import type { CircuitBreakerOptions } from './circuitBreaker';
+import type { Trace } from '../tracing';
+import type { SchemaRenames } from './schemaConflicts';
+
+export type ServiceCallOptions = {
+  // Milliseconds to wait for the service, the broker's requestTimeout when unset
+  timeout?: number,
+  // Times to retry calls that timed out
+  retryCount?: number,
+  // Result to use when the call fails, or a function building it from the error
+  fallback?: ExecutionResult | (err: Error) => ExecutionResult,
+  circuitBreaker?: CircuitBreakerOptions,
+};
 
 type ServiceOptions = {
   broker: {
     call: Function,
+    cacher?: Object,
   },
   service: string,
+  cache?: LinkCacheOptions,
+  callOptions?: ServiceCallOptions,
+  // Receives the errors in the service's results, along with the GraphQL context
+  onErrors?: (graphqlContext: ?Object, errors: Array<Object>) => void,
+  // Finds the trace of the request a call is made for, when it is traced
+  getTrace?: (graphqlContext: ?Object) => ?Trace,
+  // Picks the node each call is sent to, the broker balances calls when it returns null
+  selectNode?: () => ?string,
+  // Names the service's types and root fields have in the gateway
+  renames?: ?SchemaRenames,
+  // Rewrites each document for the caller before it is sent
+  filterDocument?: (document: DocumentNode, graphqlContext: ?Object) => DocumentNode,
 };
 
+type CallOptions = {
+  parentCtx?: Context,
+  meta?: Object,
+};
+
+/**
+ * The gateway executes queries with the incoming Moleculer context (or any
+ * object carrying `meta`) as the GraphQL context. Calls made on its behalf
+ * become child calls of that context so meta, the request ID and call level
+ * travel with them to the owning services.
+ */
+function getCallOptions(graphqlContext: ?Object): CallOptions {
+  if (!graphqlContext) return {};
+  if (graphqlContext instanceof Context) return { parentCtx: graphqlContext };
+  if (graphqlContext.ctx instanceof Context) return { parentCtx: graphqlContext.ctx };
+  if (graphqlContext.meta) return { meta: graphqlContext.meta };
+  return {};
+}
+
+export function getMeta(graphqlContext: ?Object): ?Object {
+  if (!graphqlContext) return null;
+  if (graphqlContext.ctx instanceof Context) return graphqlContext.ctx.meta;
+  return graphqlContext.meta;
+}
+
+/**
+ * @function createServiceCaller
+ * Wraps calls to a service with its timeout, retries, circuit breaker
+ * and fallback.
+ */
+function createServiceCaller(
+  service: string,
+  { timeout, retryCount, fallback, circuitBreaker }: ServiceCallOptions = {},
+) {
+  const breaker = circuitBreaker ? createCircuitBreaker(service, circuitBreaker) : null;
+  return (call: (opts: Object) => Promise<ExecutionResult>): Promise<ExecutionResult> => {
+    const limits = {};
+    if (timeout !== undefined) limits.timeout = timeout;
+    if (retryCount !== undefined) limits.retryCount = retryCount;
+    const request = breaker ? breaker.call(() => call(limits)) : call(limits);
+    const recover = fallback;
+    if (recover === undefined) return request;
+    return request.catch(err => (typeof recover === 'function' ? recover(err) : recover));
+  };
+}
+
+// Describes an operation by its type and root fields, as the gateway rarely names them
+function describeOperation(query, operationName: ?string): string {
+  const operation = getOperationAST(query, operationName);
+  if (!operation) return operationName || 'unknown';
+  const fields = operation.selectionSet.selections
+    .map(selection => (selection.kind === 'Field' ? selection.name.value : selection.kind));
+  return `${operation.operation} ${operationName || fields.join(', ')}`;
+}
+
 function createMoleculerLink(opts: ServiceOptions): ApolloLink {
+  const callService = createServiceCaller(opts.service, opts.callOptions);
   return new ApolloLink(
     operation =>
       new Observable(observer => {
-        const { credentials, fetcherOptions } = operation.getContext();
-        const { operationName, extensions, variables, query } = operation;
-        const { broker, service } = opts;
-
-        broker.call(`${service}.graphql`, {
+        const { credentials, graphqlContext } = operation.getContext();
+        const { operationName, extensions, variables } = operation;
+        const { broker, service, cache, renames } = opts;
+        const document = opts.filterDocument
+          ? opts.filterDocument(operation.query, graphqlContext)
+          : operation.query;
+        const query = renames ? restoreNames(document, renames) : document;
+        const trace = opts.getTrace ? opts.getTrace(graphqlContext) : null;
+        const params = {
           credentials,
           query: print(query),
           variables,
-          extensions,
+          extensions: trace ? { ...extensions, tracing: true } : extensions,
           operationName
-        })
+        };
+        let nodeID = null;
+        const call = () => callService((limits) => {
+          const callOptions = { ...getCallOptions(graphqlContext), ...limits };
+          try {
+            const target = opts.selectNode ? opts.selectNode() : null;
+            if (target) callOptions.nodeID = target;
+          } catch (err) {
+            return Promise.reject(err);
+          }
+          const promise = broker.call(`${service}.graphql`, params, callOptions);
+          // Moleculer exposes the context of the call, which knows the node that served it
+          if (promise.ctx) nodeID = promise.ctx.nodeID;
+          return promise;
+        });
+
+        const send = () => (cache && broker.cacher
+          ? callWithCache(broker.cacher, cache, {
+            ...params,
+            service,
+            document: query,
+            meta: getMeta(graphqlContext),
+          }, call)
+          : call());
+
+        let span = null;
+        const request = trace
+          ? measure(trace, send, (startOffset, duration, error) => {
+            span = {
+              kind: 'call',
+              service,
+              operation: describeOperation(query, operationName),
+              nodeID,
+              startOffset,
+              duration,
+              ...(error ? { error: error.message } : {}),
+            };
+            trace.spans.push(span);
+          }).then((result) => {
+            // The service's resolver timings are merged into the span of the call
+            const tracing = result && result.extensions && result.extensions.tracing;
+            if (tracing && span) span.resolvers = tracing.execution.resolvers;
+            return result;
+          })
+          : send();
+
+        request
           .then(result => {
-            observer.next(result);
+            if (result && result.errors && opts.onErrors) opts.onErrors(graphqlContext, result.errors);
+            observer.next(renames && result ? renameTypenames(result, renames) : result);
             observer.complete();
             return result;
           })
           .catch(err => {
+            // Failed calls are logged with the service and node they were made to
+            if (!err.origin) {
+              err.origin = {
+                service,
+                nodeID: err.nodeID || (err.ctx && err.ctx.nodeID) || (err.data && err.data.nodeID),
+              };
+            }
             observer.error(err);
           });
       }),
@@ -48,4 +195,4 @@ export class MoleculerLink extends ApolloLink {
   request(op): Observable<ExecutionResult> | null {
     return this.requester(op);
   }
-}
\ No newline at end of file
+}
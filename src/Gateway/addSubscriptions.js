@@ -0,0 +1,167 @@
+/**
+ * @file addSubscriptions
+ * @flow
+ *
+ * graphql-tools only stitches queries and mutations, so the gateway
+ * builds the Subscription type itself from the subscription schemas
+ * services publish and attaches it to the stitched schema. Every field
+ * is backed by the moleculer event named in its subscription definition.
+ */
+import selectn from 'selectn';
+import {
+  parse,
+  typeFromAST,
+  valueFromAST,
+  GraphQLObjectType,
+  GraphQLSchema,
+} from 'graphql';
+import type {
+  FieldDefinitionNode,
+  FieldNode,
+  FragmentDefinitionNode,
+  InputValueDefinitionNode,
+  SelectionSetNode,
+} from 'graphql';
+import type {
+  SubscriptionDefinition,
+  TypeSubscriptionDefinitions,
+} from '../Types/ServiceConfiguration';
+
+type SubscriptionSchemas = {
+  [TypeName: string]: string,
+};
+
+type Fragments = { [fragmentName: string]: FragmentDefinitionNode };
+
+type EventSubscriber = (eventName: string, filter: (payload: any) => boolean) => AsyncIterator<any>;
+
+/**
+ * @function getArgs
+ * Builds the argument config of a subscription field from its SDL,
+ * or returns null when an argument type isn't part of the schema.
+ */
+const getArgs = (schema: GraphQLSchema, args: Array<InputValueDefinitionNode>): ?Object => {
+  const argsConfig = {};
+  for (const arg of args) {
+    const type = typeFromAST(schema, arg.type);
+    if (!type) return null;
+    argsConfig[arg.name.value] = {
+      type,
+      defaultValue: arg.defaultValue ? valueFromAST(arg.defaultValue, type) : undefined,
+    };
+  }
+  return argsConfig;
+};
+
+/**
+ * @function createFilter
+ * Payloads are only sent to a subscriber when every argument it
+ * provided matches the value found at the definition's dot notation path.
+ */
+const createFilter = (definition: SubscriptionDefinition, args: Object, context: Object) =>
+  (payload: any): boolean => Object.keys(definition.filter || {})
+    .filter(arg => args[arg] != null)
+    .every(arg => selectn(definition.filter[arg], { payload, args, context }) === args[arg]);
+
+// Field nodes of a selection set by response key, through its fragments
+const getResponseFields = (
+  selectionSet: SelectionSetNode,
+  fragments: Fragments,
+  fields: { [responseKey: string]: Array<FieldNode> } = {},
+) => {
+  selectionSet.selections.forEach((selection) => {
+    if (selection.kind === 'Field') {
+      const responseKey = selection.alias ? selection.alias.value : selection.name.value;
+      fields[responseKey] = (fields[responseKey] || []).concat(selection);
+      return;
+    }
+    const fragment = selection.kind === 'InlineFragment' ? selection : fragments[selection.name.value];
+    if (fragment) getResponseFields(fragment.selectionSet, fragments, fields);
+  });
+  return fields;
+};
+
+/**
+ * @function toResponseKeys
+ * The fields of stitched types read their value under its response
+ * key, as results delegated to services come back aliased. Event
+ * payloads are copied under the response keys of the selected fields.
+ */
+const toResponseKeys = (value: any, fieldNodes: Array<FieldNode>, fragments: Fragments): any => {
+  if (Array.isArray(value)) return value.map(item => toResponseKeys(item, fieldNodes, fragments));
+  if (!value || typeof value !== 'object') return value;
+  const fields = {};
+  fieldNodes.forEach(({ selectionSet }) => {
+    if (selectionSet) getResponseFields(selectionSet, fragments, fields);
+  });
+  const responseKeys = Object.keys(fields);
+  if (responseKeys.length === 0) return value;
+  const result = { ...value };
+  responseKeys.forEach((responseKey) => {
+    const [{ name }] = fields[responseKey];
+    result[responseKey] = toResponseKeys(value[name.value], fields[responseKey], fragments);
+  });
+  return result;
+};
+
+/**
+ * @function getSubscriptionFields
+ * Gets the subscription fields defined by a single service, skipping
+ * fields without a definition or whose types aren't available.
+ */
+const getSubscriptionFields = (
+  schema: GraphQLSchema,
+  subscriptions: string,
+  definitions: { [fieldName: string]: SubscriptionDefinition },
+  subscribe: EventSubscriber,
+): Object => {
+  const fields = {};
+  parse(subscriptions).definitions.forEach((definition) => {
+    if (definition.kind !== 'ObjectTypeDefinition' || definition.name.value !== 'Subscription') return;
+    definition.fields.forEach((field: FieldDefinitionNode) => {
+      const subscriptionDefinition = definitions[field.name.value];
+      const type = typeFromAST(schema, field.type);
+      const args = getArgs(schema, field.arguments);
+      if (!subscriptionDefinition || !type || !args) return;
+      fields[field.name.value] = {
+        type,
+        args,
+        subscribe: (root, fieldArgs, context) => subscribe(
+          subscriptionDefinition.event,
+          createFilter(subscriptionDefinition, fieldArgs, context),
+        ),
+        resolve: (payload, fieldArgs, context, info) => toResponseKeys(payload, info.fieldNodes, info.fragments),
+      };
+    });
+  });
+  return fields;
+};
+
+/**
+ * @function addSubscriptions
+ * Returns the schema with a Subscription type holding the fields of
+ * every service, or the schema untouched when there are none.
+ */
+export function addSubscriptions(
+  schema: GraphQLSchema,
+  subscriptions: SubscriptionSchemas,
+  typeDefinitions: TypeSubscriptionDefinitions,
+  subscribe: EventSubscriber,
+): GraphQLSchema {
+  let fields = {};
+  for (const type of Object.keys(subscriptions)) {
+    fields = {
+      ...fields,
+      ...getSubscriptionFields(schema, subscriptions[type], typeDefinitions[type] || {}, subscribe),
+    };
+  }
+  if (Object.keys(fields).length === 0) return schema;
+  const typeMap = schema.getTypeMap();
+  return new GraphQLSchema({
+    query: schema.getQueryType(),
+    mutation: schema.getMutationType(),
+    subscription: new GraphQLObjectType({ name: 'Subscription', fields }),
+    types: Object.keys(typeMap).map(name => typeMap[name]),
+    directives: schema.getDirectives(),
+  });
+}
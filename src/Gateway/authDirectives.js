@@ -0,0 +1,247 @@
+/**
+ * @file authDirectives
+ * @flow
+ *
+ * Services protect fields with `@auth(requires: "admin")` and
+ * `@hasScope(scope: "books:write")` in their SDL, on fields or on whole
+ * types. The gateway checks them against `ctx.meta.user` before any
+ * resolver runs, and removes the protected fields a caller may not see
+ * from the documents it delegates, so they are never resolved by the
+ * owning services.
+ */
+import {
+  defaultFieldResolver,
+  DirectiveLocation,
+  GraphQLDirective,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString,
+  Kind,
+  parse,
+  TypeInfo,
+  visit,
+  visitWithTypeInfo,
+} from 'graphql';
+import { ForbiddenError } from '../errors';
+import { getMeta } from './MoleculerLink';
+import type { DirectiveNode, DocumentNode, SelectionSetNode } from 'graphql';
+
+export type AuthRule = {
+  // Roles allowed to see the field, any authenticated user when empty
+  requires?: Array<string>,
+  // Scopes a user needs to see the field
+  scopes?: Array<string>,
+};
+
+export type AuthRules = {
+  [typeName: string]: {
+    [fieldName: string]: AuthRule,
+  },
+};
+
+export type AuthChecker = (user: ?Object, rule: AuthRule) => boolean;
+
+const locations = [DirectiveLocation.FIELD_DEFINITION, DirectiveLocation.OBJECT];
+
+export const authDirectives = [
+  new GraphQLDirective({
+    name: 'auth',
+    description: 'Restricts a field to authenticated users, with one of the required roles when given.',
+    locations,
+    args: {
+      requires: { type: new GraphQLList(new GraphQLNonNull(GraphQLString)) },
+    },
+  }),
+  new GraphQLDirective({
+    name: 'hasScope',
+    description: 'Restricts a field to users granted the scope.',
+    locations,
+    args: {
+      scope: { type: new GraphQLNonNull(GraphQLString) },
+    },
+  }),
+];
+
+const getStringList = (directive: DirectiveNode, argName: string): Array<string> => {
+  const arg = (directive.arguments || []).find(({ name }) => name.value === argName);
+  if (!arg) return [];
+  const values = arg.value.kind === 'ListValue' ? arg.value.values : [arg.value];
+  return values.reduce((strings, value) => (
+    value.kind === 'StringValue' || value.kind === 'EnumValue' ? strings.concat(value.value) : strings
+  ), []);
+};
+
+/**
+ * @function getAuthRule
+ * Merges the auth directives of a field or type into a single rule,
+ * or returns null when there are none.
+ */
+function getAuthRule(directives: ?Array<DirectiveNode>, inherited: ?AuthRule): ?AuthRule {
+  let rule = inherited ? { ...inherited } : null;
+  (directives || []).forEach((directive) => {
+    if (directive.name.value === 'auth') {
+      rule = { ...rule, requires: ((rule && rule.requires) || []).concat(getStringList(directive, 'requires')) };
+    } else if (directive.name.value === 'hasScope') {
+      rule = { ...rule, scopes: ((rule && rule.scopes) || []).concat(getStringList(directive, 'scope')) };
+    }
+  });
+  return rule;
+}
+
+/**
+ * @function collectAuthRules
+ * Reads the auth rules of every field in a service's SDL.
+ */
+export function collectAuthRules(typeDefs: Array<?string>): AuthRules {
+  const rules = {};
+  typeDefs.filter(Boolean).forEach((sdl) => {
+    parse(sdl).definitions.forEach((node) => {
+      const definition = node.kind === 'TypeExtensionDefinition' ? node.definition : node;
+      if (!definition || definition.kind !== 'ObjectTypeDefinition') return;
+      const typeName = definition.name.value;
+      const typeRule = getAuthRule(definition.directives);
+      definition.fields.forEach((field) => {
+        const rule = getAuthRule(field.directives, typeRule);
+        if (!rule) return;
+        rules[typeName] = { ...rules[typeName], [field.name.value]: rule };
+      });
+    });
+  });
+  return rules;
+}
+
+const toList = (value: any): Array<string> => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  return String(value).split(' ');
+};
+
+/**
+ * @function checkAuth
+ * The default check: the user needs one of the required roles, from
+ * `roles` or `role`, and every scope, from `scopes` or `scope`.
+ */
+export const checkAuth: AuthChecker = (user, { requires = [], scopes = [] }) => {
+  if (!user) return false;
+  const roles = toList(user.roles || user.role);
+  const granted = toList(user.scopes || user.scope);
+  return (requires.length === 0 || requires.some(role => roles.includes(role)))
+    && scopes.every(scope => granted.includes(scope));
+};
+
+/**
+ * @function applyAuthRules
+ * Wraps the resolvers of protected fields so they throw a ForbiddenError
+ * instead of resolving for unauthorized users. The auth directives are
+ * added to the schema so they show up in introspection and snapshots.
+ */
+export function applyAuthRules(
+  schema: GraphQLSchema,
+  rules: AuthRules,
+  isAuthorized: AuthChecker,
+): GraphQLSchema {
+  if (Object.keys(rules).length === 0) return schema;
+  Object.keys(rules).forEach((typeName) => {
+    const type = schema.getType(typeName);
+    // Rules are only read from object types
+    if (!(type instanceof GraphQLObjectType)) return;
+    const fields = type.getFields();
+    Object.keys(rules[typeName])
+      .filter(fieldName => fields[fieldName])
+      .forEach((fieldName) => {
+        const field = fields[fieldName];
+        const rule = rules[typeName][fieldName];
+        const authorize = (context) => {
+          const meta = getMeta(context) || {};
+          if (!isAuthorized(meta.user, rule)) {
+            throw new ForbiddenError(`Not authorized to access ${typeName}.${fieldName}`);
+          }
+        };
+        const resolve = field.resolve || defaultFieldResolver;
+        field.resolve = (parent, args, context, info) => {
+          authorize(context);
+          return resolve(parent, args, context, info);
+        };
+        if (field.subscribe) {
+          const subscribe = field.subscribe;
+          field.subscribe = (parent, args, context, info) => {
+            authorize(context);
+            return subscribe(parent, args, context, info);
+          };
+        }
+      });
+  });
+  const typeMap = schema.getTypeMap();
+  return new GraphQLSchema({
+    query: schema.getQueryType(),
+    mutation: schema.getMutationType(),
+    subscription: schema.getSubscriptionType(),
+    types: Object.keys(typeMap).map(name => typeMap[name]),
+    directives: schema.getDirectives()
+      .filter(directive => !authDirectives.some(({ name }) => name === directive.name))
+      .concat(authDirectives),
+  });
+}
+
+const typenameField = { kind: Kind.FIELD, name: { kind: Kind.NAME, value: '__typename' } };
+
+// Names of the variables a document still uses
+function getUsedVariables(document: DocumentNode): Array<string> {
+  const used = [];
+  visit(document, {
+    VariableDefinition: () => false,
+    Variable: (node) => {
+      used.push(node.name.value);
+    },
+  });
+  return used;
+}
+
+/**
+ * @function removeUnauthorizedFields
+ * Removes the protected fields the user may not see from a document
+ * delegated to a service. Emptied selection sets only keep `__typename`
+ * and the variables of removed fields are dropped, so the document stays
+ * valid. The gateway still reports the removed fields as forbidden.
+ */
+export function removeUnauthorizedFields(
+  document: DocumentNode,
+  schema: GraphQLSchema,
+  rules: AuthRules,
+  isAuthorized: AuthChecker,
+  user: ?Object,
+): DocumentNode {
+  const typeInfo = new TypeInfo(schema);
+  let removed = false;
+  const filtered = visit(document, visitWithTypeInfo(typeInfo, {
+    Field: (node) => {
+      const parentType = typeInfo.getParentType();
+      const typeRules = parentType ? rules[parentType.name] : null;
+      const rule = typeRules ? typeRules[node.name.value] : null;
+      if (!rule || isAuthorized(user, rule)) return undefined;
+      removed = true;
+      return null;
+    },
+    SelectionSet: {
+      leave: (node: SelectionSetNode) => (node.selections.length > 0
+        ? undefined
+        : { ...node, selections: [typenameField] }),
+    },
+  }));
+  if (!removed) return document;
+  const used = getUsedVariables(filtered);
+  return {
+    ...filtered,
+    definitions: filtered.definitions.map(definition => (
+      definition.kind === Kind.OPERATION_DEFINITION && definition.variableDefinitions
+        ? {
+          ...definition,
+          variableDefinitions: definition.variableDefinitions
+            .filter(variable => used.includes(variable.variable.name.value)),
+        }
+        : definition
+    )),
+  };
+}
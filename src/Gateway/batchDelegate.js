@@ -0,0 +1,149 @@
+/**
+ * @file batchDelegate
+ * @flow
+ *
+ * Collects every parent that resolves the same relationship field
+ * within a single tick and resolves them all with one delegated call
+ * to the batch operation declared in the relation definition. The
+ * results are then matched back to their parents using the batch key.
+ */
+import selectn from 'selectn';
+import { getNullableType, GraphQLList, Kind } from 'graphql';
+import type { GraphQLResolveInfo, FieldNode } from 'graphql';
+import { getForwardedArgs } from './relationConnections';
+import type { RelationDefinition } from '../Types/ServiceConfiguration';
+
+type ResolverProps = {
+  parent: Object,
+  args: Object,
+  context: Object,
+  info: GraphQLResolveInfo,
+};
+
+type PendingLoad = {
+  props: ResolverProps,
+  resolve: (value: any) => void,
+  reject: (error: Error) => void,
+};
+
+type Batch = {
+  loads: Array<PendingLoad>,
+};
+
+// Batches in flight, scoped to the operation being executed
+const batchesByOperation: WeakMap<Object, Map<string, Batch>> = new WeakMap();
+
+/**
+ * @function getBatchKey
+ * Siblings share the parent type, field and response path once the
+ * list indices have been stripped out of it.
+ */
+const getBatchKey = (info: GraphQLResolveInfo): string => {
+  const segments = [];
+  let path = info.path;
+  while (path) {
+    if (typeof path.key === 'string') segments.unshift(path.key);
+    path = path.prev;
+  }
+  return `${info.parentType.name}:${segments.join('.')}`;
+};
+
+/**
+ * @function withKeyField
+ * Ensures the key used to match results back to parents is part of
+ * the selection set sent to the remote service.
+ */
+export const withKeyField = (fieldNodes: Array<FieldNode>, key: string): Array<FieldNode> => {
+  return fieldNodes.map((fieldNode) => {
+    if (!fieldNode.selectionSet) return fieldNode;
+    const selections = fieldNode.selectionSet.selections;
+    const hasKey = selections.some(selection => selection.kind === Kind.FIELD
+      && !selection.alias
+      && selection.name.value === key);
+    if (hasKey) return fieldNode;
+    return {
+      ...fieldNode,
+      selectionSet: {
+        ...fieldNode.selectionSet,
+        selections: selections.concat({
+          kind: Kind.FIELD,
+          name: { kind: Kind.NAME, value: key },
+        }),
+      },
+    };
+  });
+};
+
+/**
+ * @function dispatchBatch
+ * Sends the collected parents to the batch operation in a single
+ * delegated call and hands each parent its matching results.
+ */
+async function dispatchBatch(
+  definition: RelationDefinition,
+  batch: Batch,
+  mergeInfo: MergeInfo,
+): Promise<void> {
+  const { batch: batchDefinition } = definition;
+  if (!batchDefinition) return;
+  const { loads } = batch;
+  const { context, info } = loads[0].props;
+  const parentKeys = loads.map(load => selectn(batchDefinition.parentKey, load.props));
+  // Siblings share the field arguments, so the forwarded ones are those of any parent
+  const args = {
+    ...getForwardedArgs(definition, loads[0].props.args),
+    [batchDefinition.argName]: Array.from(new Set(parentKeys.filter(value => value != null))),
+  };
+
+  try {
+    const results = await mergeInfo.delegate(
+      definition.type,
+      batchDefinition.operationName,
+      args,
+      context,
+      { ...info, fieldNodes: withKeyField(info.fieldNodes, batchDefinition.key) },
+    ) || [];
+    const isList = getNullableType(info.returnType) instanceof GraphQLList;
+    loads.forEach((load, idx) => {
+      const parentKey = parentKeys[idx];
+      const matches = parentKey == null ? [] : results.filter(result =>
+        result && String(result[batchDefinition.key]) === String(parentKey));
+      load.resolve(isList ? matches : (matches[0] || null));
+    });
+  } catch (err) {
+    loads.forEach(load => load.reject(err));
+  }
+}
+
+/**
+ * @function batchDelegate
+ * Queues a parent for the next batched call of a relationship field.
+ */
+export function batchDelegate(
+  definition: RelationDefinition,
+  props: ResolverProps,
+  mergeInfo: MergeInfo,
+): Promise<any> {
+  const { info } = props;
+  let batches = batchesByOperation.get(info.operation);
+  if (!batches) {
+    batches = new Map();
+    batchesByOperation.set(info.operation, batches);
+  }
+  const batchKey = getBatchKey(info);
+  let batch = batches.get(batchKey);
+  if (!batch) {
+    const newBatch = { loads: [] };
+    const operationBatches = batches;
+    batch = newBatch;
+    batches.set(batchKey, newBatch);
+    process.nextTick(() => {
+      operationBatches.delete(batchKey);
+      dispatchBatch(definition, newBatch, mergeInfo);
+    });
+  }
+  const pendingBatch = batch;
+  return new Promise((resolve, reject) => {
+    pendingBatch.loads.push({ props, resolve, reject });
+  });
+}
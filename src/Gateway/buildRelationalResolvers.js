@@ -8,6 +8,12 @@
  * the GraphQLGateway and moleculer network.
  */
 import selectn from 'selectn';
+import { responsePathAsArray } from 'graphql';
+import { batchDelegate } from './batchDelegate';
+import { getForwardedArgs, resolveConnection } from './relationConnections';
+import type { PageDelegation } from './relationConnections';
+import { measure } from '../tracing';
+import type { Trace } from '../tracing';
 import type {
   RelationDefinition,
   RelationDefinitions,
@@ -26,44 +32,177 @@ type ResolverArgs = {
   [key: string]: any,
 };
 
+type DelegationTracing = {
+  getTrace: (context: Object) => ?Trace,
+  // Name of the service owning the root field a relationship delegates to
+  getServiceName: (operation: 'query' | 'mutation', fieldName: string) => ?string,
+};
+
 /**
  * @function getArgs
  * Builds an object of arguments to send along with the query.
  * The arguments are built by following the dot notation path
- * provided by the service in the relationships configurations.
+ * provided by the service in the relationships configurations,
+ * on top of the field arguments the relationship forwards.
  */
 const getArgs = (relationship: RelationDefinition, props: ResolverProps): ResolverArgs => {
-  if (!relationship.args) return {};
-  const computedArgs = {};
+  const computedArgs = getForwardedArgs(relationship, props.args);
+  if (!relationship.args) return computedArgs;
   for (const arg of Object.keys(relationship.args)) {
     computedArgs[arg] = selectn(relationship.args[arg], props);
   }
   return computedArgs;
 };
 
+/**
+ * @function delegateRelationship
+ * Resolves a relationship field with its operation, or its batch
+ * operation, using the given resolve info.
+ */
+const delegateRelationship = (
+  definition: RelationDefinition,
+  props: ResolverProps,
+  mergeInfo: MergeInfo,
+): Promise<any> => {
+  if (definition.batch) return batchDelegate(definition, props, mergeInfo);
+  return mergeInfo.delegate(
+    definition.type,
+    definition.operationName,
+    getArgs(definition, props),
+    props.context,
+    props.info,
+  );
+};
+
+/**
+ * @function getPageDelegation
+ * Delegates pages of a connection relationship to an operation that
+ * takes an offset and a limit, and counts the list with the count
+ * query when there is one.
+ */
+const getPageDelegation = (
+  definition: RelationDefinition,
+  props: ResolverProps,
+  mergeInfo: MergeInfo,
+): ?PageDelegation => {
+  if (!definition.paginate) return null;
+  const { offsetArg, limitArg, countQuery } = definition.paginate;
+  const args = getArgs(definition, props);
+  return {
+    // graphql-tools drops falsy arguments, the first page relies on the operation's default offset
+    delegatePage: (nodeInfo, { offset, limit }) => mergeInfo.delegate(
+      definition.type,
+      definition.operationName,
+      { ...args, ...(offset > 0 ? { [offsetArg]: offset } : {}), [limitArg]: limit },
+      props.context,
+      nodeInfo,
+    ),
+    delegateCount: countQuery
+      ? countInfo => mergeInfo.delegate('query', countQuery, args, props.context, countInfo)
+      : undefined,
+  };
+};
+
+/**
+ * @function getSelections
+ * Selects the fields along dot notation paths split into their
+ * segments, so `author.id` selects `author { id }`.
+ */
+const getSelections = (paths: Array<Array<string>>): string => {
+  const subPaths = {};
+  paths.forEach(([fieldName, ...rest]) => {
+    subPaths[fieldName] = (subPaths[fieldName] || []).concat(rest.length > 0 ? [rest] : []);
+  });
+  return Object.keys(subPaths)
+    .map(fieldName => (subPaths[fieldName].length > 0
+      ? `${fieldName} { ${getSelections(subPaths[fieldName])} }`
+      : fieldName))
+    .join(' ');
+};
+
+/**
+ * @function getFragment
+ * Builds the fragment of parent fields a relationship depends on, so
+ * they are fetched from the owning service even when the client did
+ * not select them. List indexes in the paths, as in `authors[0].id`,
+ * aren't fields and are left out.
+ */
+const getFragment = (
+  typeName: string,
+  fieldName: string,
+  relationship: RelationDefinition,
+): ?string => {
+  const paths = Object.keys(relationship.args || {}).map(arg => relationship.args[arg]);
+  if (relationship.batch) paths.push(relationship.batch.parentKey);
+  const parentPaths = paths
+    .filter(path => path.startsWith('parent.'))
+    .map(path => path
+      .replace(/\[(\w+)\]/g, '.$1')
+      .split('.')
+      .slice(1)
+      .filter(segment => segment && !/^\d+$/.test(segment)))
+    .filter(segments => segments.length > 0);
+  if (parentPaths.length === 0) return null;
+  return `fragment ${typeName}${fieldName}Parent on ${typeName} { ${getSelections(parentPaths)} }`;
+};
+
+/**
+ * @function traceDelegation
+ * Records a span for the delegation made by a relationship field when
+ * the request is traced.
+ */
+const traceDelegation = (
+  definition: RelationDefinition,
+  props: ResolverProps,
+  tracing: ?DelegationTracing,
+  delegate: () => Promise<any>,
+): Promise<any> => {
+  const trace = tracing ? tracing.getTrace(props.context) : null;
+  if (!tracing || !trace) return delegate();
+  const operationName = definition.batch ? definition.batch.operationName : definition.operationName;
+  const service = tracing.getServiceName(definition.type, operationName);
+  return measure(trace, delegate, (startOffset, duration, error) => {
+    trace.spans.push({
+      kind: 'delegation',
+      service,
+      operation: `${definition.type} ${operationName}`,
+      path: responsePathAsArray(props.info.path),
+      startOffset,
+      duration,
+      ...(error ? { error: error.message } : {}),
+    });
+  });
+};
+
 /**
  * @function getFieldResolvers
  * Gets the resolvers for the fields on a given type. This function
  * loops through all the fields defined for a type and returns an
  * object with a resolve method that calls mergeInfo.delegate to
- * stitch together remote schemas.
+ * stitch together remote schemas. Definitions that declare a batch
+ * operation are resolved together with their siblings instead.
  */
 const getFieldResolvers = (
+  typeName: string,
   relationships: RelationDefinitions,
   mergeInfo: MergeInfo,
+  tracing: ?DelegationTracing,
 ): IResolvers => {
   const relationshipResolvers = {};
   for (const fieldName of Object.keys(relationships)) {
     const definition = relationships[fieldName];
     relationshipResolvers[fieldName] = {
+      fragment: getFragment(typeName, fieldName, definition),
       resolve(parent, args, context, info) {
-        return mergeInfo.delegate(
-          definition.type,
-          definition.operationName,
-          getArgs(definition, { parent, args, context, info }),
-          context,
-          info,
-        );
+        const props = { parent, args, context, info };
+        return traceDelegation(definition, props, tracing, () => {
+          if (!definition.connection) return delegateRelationship(definition, props, mergeInfo);
+          return resolveConnection(
+            props,
+            nodeInfo => delegateRelationship(definition, { ...props, info: nodeInfo }, mergeInfo),
+            getPageDelegation(definition, props, mergeInfo),
+          );
+        });
       }
     }
   }
@@ -74,16 +213,18 @@ const getFieldResolvers = (
  * @function generateResolvers
  * Builds a type map of resolvers that utilize mergeInfo to
  * stitch together the remote schemas they are attached to.
+ * Delegations are traced when tracing is given.
  */
 export function buildRelationalResolvers(
   typeDefinitions: TypeRelationDefinitions,
   validatedRelationalTypes?: Array<string>,
+  tracing?: DelegationTracing,
 ): getMergeSchemaResolver {
   return mergeInfo => {
     const typeResolvers = {};
     for (const type of Object.keys(typeDefinitions)) {
       if (validatedRelationalTypes && !validatedRelationalTypes.includes(type)) continue;
-      typeResolvers[type] = getFieldResolvers(typeDefinitions[type], mergeInfo);
+      typeResolvers[type] = getFieldResolvers(type, typeDefinitions[type], mergeInfo, tracing);
     }
 
     return typeResolvers;
@@ -0,0 +1,59 @@
+/**
+ * @file circuitBreaker
+ * @flow
+ *
+ * Stops calling a service that keeps failing, so requests touching it
+ * fail fast instead of waiting on every call to time out.
+ */
+
+export type CircuitBreakerOptions = {
+  // Consecutive failures that open the circuit
+  maxFailures?: number,
+  // Milliseconds before an open circuit lets a trial call through
+  halfOpenTime?: number,
+};
+
+export type CircuitBreaker = {
+  call<T>(fn: () => Promise<T>): Promise<T>,
+  isOpen(): boolean,
+};
+
+/**
+ * @function createCircuitBreaker
+ * The circuit opens after maxFailures consecutive failures. Once
+ * halfOpenTime has passed a single call is let through, closing the
+ * circuit when it succeeds and opening it again when it fails.
+ */
+export function createCircuitBreaker(
+  name: string,
+  { maxFailures = 5, halfOpenTime = 10000 }: CircuitBreakerOptions = {},
+): CircuitBreaker {
+  let failures = 0;
+  let openedAt = null;
+  let trialPending = false;
+
+  const isOpen = (): boolean => openedAt !== null
+    && (trialPending || Date.now() - openedAt < halfOpenTime);
+
+  return {
+    isOpen,
+    call<T>(fn: () => Promise<T>): Promise<T> {
+      if (isOpen()) {
+        return Promise.reject(new Error(`Circuit breaker is open for the ${name} service`));
+      }
+      const trial = openedAt !== null;
+      if (trial) trialPending = true;
+      return fn().then((result) => {
+        failures = 0;
+        openedAt = null;
+        trialPending = false;
+        return result;
+      }, (err) => {
+        failures += 1;
+        trialPending = false;
+        if (trial || failures >= maxFailures) openedAt = Date.now();
+        throw err;
+      });
+    },
+  };
+}
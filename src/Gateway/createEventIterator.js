@@ -0,0 +1,72 @@
+/**
+ * @file createEventIterator
+ * @flow
+ *
+ * Turns moleculer events relayed through an EventEmitter into the
+ * AsyncIterator that graphql's subscribe expects.
+ */
+import { $$asyncIterator } from 'iterall';
+import type EventEmitter from 'events';
+
+// Emitted on the emitter to end every iterator listening to it, moleculer reserves the $ prefix
+export const CLOSE_ITERATORS = '$gateway.closeIterators';
+
+type IteratorResult = {
+  value: any,
+  done: boolean,
+};
+
+export function createEventIterator(
+  emitter: EventEmitter,
+  eventName: string,
+  filter: (payload: any) => boolean,
+): AsyncIterator<any> {
+  const pullQueue: Array<(result: IteratorResult) => void> = [];
+  const pushQueue: Array<any> = [];
+  let listening = true;
+
+  const pushValue = (payload: any): void => {
+    if (!filter(payload)) return;
+    if (pullQueue.length > 0) {
+      pullQueue.shift()({ value: payload, done: false });
+    } else {
+      pushQueue.push(payload);
+    }
+  };
+
+  const stopListening = (): void => {
+    if (!listening) return;
+    listening = false;
+    emitter.removeListener(eventName, pushValue);
+    emitter.removeListener(CLOSE_ITERATORS, stopListening);
+    pullQueue.forEach(resolve => resolve({ value: undefined, done: true }));
+    pullQueue.length = 0;
+    pushQueue.length = 0;
+  };
+
+  emitter.on(eventName, pushValue);
+  emitter.on(CLOSE_ITERATORS, stopListening);
+
+  const iterator = {
+    next(): Promise<IteratorResult> {
+      if (!listening) return this.return();
+      if (pushQueue.length > 0) {
+        return Promise.resolve({ value: pushQueue.shift(), done: false });
+      }
+      return new Promise(resolve => pullQueue.push(resolve));
+    },
+    return(): Promise<IteratorResult> {
+      stopListening();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(error: Error): Promise<IteratorResult> {
+      stopListening();
+      return Promise.reject(error);
+    },
+    [$$asyncIterator]() {
+      return this;
+    },
+  };
+  // Flow doesn't know iterall's $$asyncIterator is the @@asyncIterator of AsyncIterator
+  return (iterator: any);
+}
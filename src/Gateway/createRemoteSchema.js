@@ -3,16 +3,91 @@
  * @flow
  */
 import { introspectSchema, makeRemoteExecutableSchema } from 'graphql-tools';
+import { buildASTSchema, parse, printSchema } from 'graphql';
+import type { DocumentNode, GraphQLSchema } from 'graphql';
 import type { ServiceBroker, Service } from 'moleculer';
 import { MoleculerLink } from './MoleculerLink';
+import { hashSchema } from './utilities';
+import { renameSchema } from './schemaConflicts';
+import type { CacheOptions } from './responseCache';
+import type { ServiceCallOptions } from './MoleculerLink';
+import type { Trace } from '../tracing';
+import type { SchemaRenames } from './schemaConflicts';
 
 type RemoteSchemaOptions = {
   broker: ServiceBroker,
-  service: Service
+  service: Service,
+  cache?: ?CacheOptions,
+  callOptions?: ServiceCallOptions,
+  onErrors?: (graphqlContext: ?Object, errors: Array<Object>) => void,
+  getTrace?: (graphqlContext: ?Object) => ?Trace,
+  selectNode?: () => ?string,
+  // Names the service's conflicting types and root fields are stitched under
+  renames?: ?SchemaRenames,
+  filterDocument?: (document: DocumentNode, graphqlContext: ?Object) => DocumentNode,
 }
 
-export async function createRemoteSchema({ broker, service }: RemoteSchemaOptions) {
-  const link = new MoleculerLink({ broker, service: service.name });
+type RemoteSchema = {
+  schema: GraphQLSchema,
+  schemaHash: string,
+};
+
+/**
+ * Services built with createGraphqlMixin broadcast their SDL, so the
+ * remote schema can be built without a round trip. Introspection over
+ * the link is only used for services that do not publish a schema.
+ */
+export async function createRemoteSchema({
+  broker,
+  service,
+  cache,
+  callOptions,
+  onErrors,
+  getTrace,
+  selectNode,
+  renames,
+  filterDocument,
+}: RemoteSchemaOptions): Promise<RemoteSchema> {
+  const { schema: typeDefs, schemaHash, cacheControl } = service.settings;
+  if (typeDefs) {
+    const schema = buildASTSchema(parse(typeDefs));
+    // Results are only cached for services that publish the schema their cache hints refer to
+    const link = new MoleculerLink({
+      broker,
+      service: service.name,
+      cache: cache ? { ...cache, schema, cacheControl } : undefined,
+      callOptions,
+      onErrors,
+      getTrace,
+      selectNode,
+      renames,
+      filterDocument,
+    });
+    return {
+      schema: makeRemoteExecutableSchema({
+        schema: renames ? buildASTSchema(parse(renameSchema(typeDefs, renames))) : schema,
+        link,
+      }),
+      schemaHash: schemaHash || hashSchema(typeDefs),
+    };
+  }
+  const link = new MoleculerLink({
+    broker,
+    service: service.name,
+    callOptions,
+    onErrors,
+    getTrace,
+    selectNode,
+    renames,
+    filterDocument,
+  });
   const schema = await introspectSchema(link);
-  return makeRemoteExecutableSchema({ schema, link });
+  const printedSchema = printSchema(schema);
+  return {
+    schema: makeRemoteExecutableSchema({
+      schema: renames ? buildASTSchema(parse(renameSchema(printedSchema, renames))) : schema,
+      link,
+    }),
+    schemaHash: hashSchema(printedSchema),
+  };
 }
@@ -0,0 +1,105 @@
+/**
+ * @file diffSchemas
+ * @flow
+ *
+ * Classifies the differences between two versions of the stitched
+ * schema. Breaking and dangerous changes come from graphql's own
+ * change finders, safe changes are the additions they don't report.
+ */
+import {
+  findBreakingChanges,
+  findDangerousChanges,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLNonNull,
+  GraphQLObjectType,
+} from 'graphql';
+import type { GraphQLSchema } from 'graphql';
+
+export type SchemaChange = {
+  type: string,
+  description: string,
+};
+
+export type SchemaDiff = {
+  breaking: Array<SchemaChange>,
+  dangerous: Array<SchemaChange>,
+  safe: Array<SchemaChange>,
+};
+
+export const SafeChangeType = {
+  TYPE_ADDED: 'TYPE_ADDED',
+  FIELD_ADDED: 'FIELD_ADDED',
+  OPTIONAL_ARG_ADDED: 'OPTIONAL_ARG_ADDED',
+};
+
+const getFields = (type: any): ?{ [fieldName: string]: Object } => (
+  type instanceof GraphQLObjectType
+  || type instanceof GraphQLInterfaceType
+  || type instanceof GraphQLInputObjectType
+    ? type.getFields()
+    : null
+);
+
+/**
+ * @function findSafeChanges
+ * Finds the types, fields and optional arguments that were added.
+ */
+function findSafeChanges(oldSchema: GraphQLSchema, newSchema: GraphQLSchema): Array<SchemaChange> {
+  const changes = [];
+  const oldTypeMap = oldSchema.getTypeMap();
+  const newTypeMap = newSchema.getTypeMap();
+  Object.keys(newTypeMap).forEach((typeName) => {
+    const oldType = oldTypeMap[typeName];
+    const newType = newTypeMap[typeName];
+    if (!oldType) {
+      changes.push({ type: SafeChangeType.TYPE_ADDED, description: `${typeName} was added.` });
+      return;
+    }
+    const oldFields = getFields(oldType);
+    const newFields = getFields(newType);
+    if (!oldFields || !newFields || oldType.constructor !== newType.constructor) return;
+    Object.keys(newFields).forEach((fieldName) => {
+      const oldField = oldFields[fieldName];
+      if (!oldField) {
+        // Required input fields are reported as breaking by graphql
+        if (newFields[fieldName].type instanceof GraphQLNonNull && newType instanceof GraphQLInputObjectType) return;
+        changes.push({
+          type: SafeChangeType.FIELD_ADDED,
+          description: `${typeName}.${fieldName} was added.`,
+        });
+        return;
+      }
+      (newFields[fieldName].args || [])
+        .filter(arg => !(arg.type instanceof GraphQLNonNull))
+        .filter(arg => !(oldField.args || []).some(oldArg => oldArg.name === arg.name))
+        .forEach((arg) => {
+          changes.push({
+            type: SafeChangeType.OPTIONAL_ARG_ADDED,
+            description: `${arg.name} was added to ${typeName}.${fieldName}.`,
+          });
+        });
+    });
+  });
+  return changes;
+}
+
+// graphql types the kind of its changes with its own enums
+const toSchemaChange = ({ type, description }): SchemaChange => ({ type, description });
+
+/**
+ * @function diffSchemas
+ * Compares the previous schema with the next one.
+ */
+export function diffSchemas(oldSchema: GraphQLSchema, newSchema: GraphQLSchema): SchemaDiff {
+  return {
+    breaking: findBreakingChanges(oldSchema, newSchema).map(toSchemaChange),
+    dangerous: findDangerousChanges(oldSchema, newSchema).map(toSchemaChange),
+    safe: findSafeChanges(oldSchema, newSchema),
+  };
+}
+
+// Whether the diff holds any change at all
+export function hasChanges(diff: SchemaDiff): boolean {
+  return diff.breaking.length + diff.dangerous.length + diff.safe.length > 0;
+}
@@ -0,0 +1,90 @@
+/**
+ * @file formatError
+ * @flow
+ *
+ * Errors returned by services are stitched into the gateway response by
+ * graphql-tools, which only keeps their message. The errors the services
+ * sent are matched back to the stitched ones to restore their extensions
+ * before they are formatted for clients.
+ */
+import { INTERNAL_ERROR_CODE } from '../errors';
+import type { GraphQLError } from 'graphql';
+
+// graphql doesn't declare the extensions its errors carry
+type StitchedError = GraphQLError & { extensions?: Object };
+
+// Errors of graphql and of the gateway itself, which have no locations or path
+export type FormattableError = {
+  +message: string,
+  +locations?: $ReadOnlyArray<{ +line: number, +column: number }>,
+  +path?: $ReadOnlyArray<string | number>,
+  +originalError?: ?Object,
+  +extensions?: Object,
+};
+
+type FormatOptions = {
+  maskErrors: boolean,
+  logger?: ?Object,
+  nodeID: string,
+};
+
+type FormattedError = {
+  message: string,
+  locations?: $ReadOnlyArray<{ +line: number, +column: number }>,
+  path?: $ReadOnlyArray<string | number>,
+  extensions: Object,
+};
+
+const isPathSuffix = (suffix: ?Array<string | number>, path: Array<string | number>): boolean => {
+  if (!suffix || suffix.length > path.length) return false;
+  const offset = path.length - suffix.length;
+  return suffix.every((key, idx) => path[offset + idx] === key);
+};
+
+/**
+ * @function restoreRemoteError
+ * Finds the service error a stitched error was made from, preferring
+ * one whose path ends the stitched error's path, and copies its extensions.
+ */
+export function restoreRemoteError(error: StitchedError, remoteErrors: Array<Object>): StitchedError {
+  if (error.extensions || remoteErrors.length === 0) return error;
+  const messages = error.message.split('\n');
+  const candidates = remoteErrors.filter(remote => messages.includes(remote.message));
+  const match = candidates.find(remote => isPathSuffix(remote.path, error.path || []))
+    || candidates[0];
+  if (match && match.extensions) error.extensions = match.extensions;
+  return error;
+}
+
+/**
+ * @function formatError
+ * Keeps the message and extensions of errors with a code. Internal
+ * errors are logged with the service and node they came from, and
+ * their message is masked when maskErrors is set. The origin is never
+ * sent to clients.
+ */
+export function formatError(
+  error: FormattableError,
+  { maskErrors, logger, nodeID }: FormatOptions,
+): FormattedError {
+  const originalError = error.originalError || {};
+  const { origin, ...extensions } = error.extensions || originalError.extensions || {};
+  const code = extensions.code || INTERNAL_ERROR_CODE;
+  const formatted: FormattedError = {
+    message: error.message,
+    locations: error.locations,
+    path: error.path,
+    extensions: { ...extensions, code },
+  };
+  if (code === INTERNAL_ERROR_CODE) {
+    const source = origin || originalError.origin || { service: 'gateway', nodeID };
+    if (logger) {
+      logger.error(
+        `GraphQL error from the ${source.service} service on node ${source.nodeID}: ${error.message}`,
+        originalError.stack || '',
+      );
+    }
+    if (maskErrors) formatted.message = 'Internal server error';
+  }
+  return formatted;
+}
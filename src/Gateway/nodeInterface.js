@@ -0,0 +1,176 @@
+/**
+ * @file nodeInterface
+ * @flow
+ *
+ * Services register the root field that looks their type up by its
+ * local ID with the `nodeQuery` option of the mixin. The gateway makes
+ * those types implement a Node interface, and resolves the root `node`
+ * and `nodes` fields by routing each global ID to the node query of
+ * the type it encodes:
+ *
+ *   interface Node { id: ID! }
+ *   extend type Query { node(id: ID!): Node, nodes(ids: [ID!]!): [Node] }
+ *   type Author implements Node { id: ID!, ... }
+ *
+ * The `id` of node types is their global ID, as Relay keys its records
+ * by it. It resolves from the field holding the local ID, which the
+ * delegated queries still select under its own name.
+ */
+import {
+  defaultFieldResolver,
+  getNullableType,
+  GraphQLID,
+  GraphQLInterfaceType,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLSchema,
+} from 'graphql';
+import type { GraphQLResolveInfo } from 'graphql';
+import { withKeyField } from './batchDelegate';
+import { fromGlobalId, toGlobalId } from '../globalIds';
+
+export type NodeQuery = {
+  // Root query field looking a node up by its local ID
+  fieldName: string,
+  // Its argument taking the ID, which is also the field of the type holding it
+  argName: string,
+  // Named type of the argument, local IDs are parsed into it
+  argType: string,
+};
+
+export type NodeQueries = {
+  [typeName: string]: NodeQuery,
+};
+
+/**
+ * @function getNodeQuery
+ * Describes the node query of a type from the schema of its service.
+ * Returns null unless the root field exists and its first argument is
+ * the `id` field of the type, or one of its fields when it has none
+ * since `id` then holds the global ID.
+ */
+export function getNodeQuery(schema: GraphQLSchema, typeName: string, fieldName: string): ?NodeQuery {
+  const queryType = schema.getQueryType();
+  const field = queryType ? queryType.getFields()[fieldName] : null;
+  const type = schema.getType(typeName);
+  if (!field || field.args.length === 0 || !(type instanceof GraphQLObjectType)) return null;
+  const [arg] = field.args;
+  const fields = type.getFields();
+  if (!fields[arg.name] || (fields.id && arg.name !== 'id')) return null;
+  return { fieldName, argName: arg.name, argType: String(getNullableType(arg.type)) };
+}
+
+// Types whose local ID is their `id` field have it retyped once stitched, the others get one
+const hasLocalIdField = ({ argName }: NodeQuery): boolean => argName === 'id';
+
+export const getNodeTypeDefs = (nodeQueries: NodeQueries): string => `
+  interface Node {
+    id: ID!,
+  }
+
+  extend type Query {
+    node(id: ID!): Node,
+    nodes(ids: [ID!]!): [Node],
+  }
+  ${Object.keys(nodeQueries).filter(typeName => !hasLocalIdField(nodeQueries[typeName])).map(typeName => `
+  extend type ${typeName} implements Node {
+    id: ID!,
+  }`).join('\n')}
+`;
+
+/**
+ * @function implementNode
+ * Makes the stitched types whose `id` field holds their local ID
+ * implement Node, that field now resolving to their global ID.
+ */
+export function implementNode(schema: GraphQLSchema, nodeQueries: NodeQueries): GraphQLSchema {
+  const nodeInterface = schema.getType('Node');
+  const typeNames = Object.keys(nodeQueries).filter(typeName => hasLocalIdField(nodeQueries[typeName]));
+  if (!(nodeInterface instanceof GraphQLInterfaceType) || typeNames.length === 0) return schema;
+  typeNames.forEach((typeName) => {
+    const type = schema.getType(typeName);
+    if (!(type instanceof GraphQLObjectType)) return;
+    const field = type.getFields().id;
+    // The merged resolver reads the local ID under the alias it was selected with
+    const { resolve = defaultFieldResolver } = field;
+    field.type = new GraphQLNonNull(GraphQLID);
+    field.resolve = (...args) => {
+      const id = resolve(...args);
+      return id === null || id === undefined ? id : toGlobalId(typeName, String(id));
+    };
+    type.getInterfaces().push(nodeInterface);
+  });
+  // The possible types of Node are only computed when building a schema
+  const typeMap = schema.getTypeMap();
+  return new GraphQLSchema({
+    query: schema.getQueryType(),
+    mutation: schema.getMutationType(),
+    subscription: schema.getSubscriptionType(),
+    types: Object.keys(typeMap).map(name => typeMap[name]),
+    directives: schema.getDirectives(),
+  });
+}
+
+const parseLocalId = (id: string, argType: string): string | number => {
+  if (argType === 'Int') return parseInt(id, 10);
+  if (argType === 'Float') return parseFloat(id);
+  return id;
+};
+
+/**
+ * @function resolveNode
+ * Delegates a global ID to the node query of its type. Resolves to
+ * null for types without one.
+ */
+async function resolveNode(
+  globalId: string,
+  nodeQueries: NodeQueries,
+  mergeInfo: MergeInfo,
+  context: Object,
+  info: GraphQLResolveInfo,
+): Promise<?Object> {
+  const { typeName, id } = fromGlobalId(globalId);
+  const nodeQuery = nodeQueries[typeName];
+  if (!nodeQuery) return null;
+  const node = await mergeInfo.delegate(
+    'query',
+    nodeQuery.fieldName,
+    { [nodeQuery.argName]: parseLocalId(id, nodeQuery.argType) },
+    context,
+    {
+      ...info,
+      // The arguments of `node` aren't those of the node query, and its `id` needs the local one
+      fieldNodes: withKeyField(info.fieldNodes.map(fieldNode => ({ ...fieldNode, arguments: [] })), nodeQuery.argName),
+    },
+  );
+  // The Node interface resolves the type of its results from their typename
+  return node ? { ...node, __typename: typeName } : null;
+}
+
+/**
+ * @function buildNodeResolvers
+ * Builds the resolvers of the root `node` and `nodes` fields, and of
+ * the `id` the node types without one get.
+ */
+export function buildNodeResolvers(nodeQueries: NodeQueries): getMergeSchemaResolver {
+  return (mergeInfo) => {
+    const resolvers = {
+      Query: {
+        node: (parent, { id }, context, info) => resolveNode(id, nodeQueries, mergeInfo, context, info),
+        nodes: (parent, { ids }, context, info) => Promise.all(ids
+          .map(id => resolveNode(id, nodeQueries, mergeInfo, context, info))),
+      },
+    };
+    // The `id` of the other node types is already their local ID, it is wrapped once stitched
+    Object.keys(nodeQueries).filter(typeName => !hasLocalIdField(nodeQueries[typeName])).forEach((typeName) => {
+      const { argName } = nodeQueries[typeName];
+      resolvers[typeName] = {
+        id: {
+          fragment: `fragment ${typeName}GlobalId on ${typeName} { ${argName} }`,
+          resolve: parent => toGlobalId(typeName, parent[argName]),
+        },
+      };
+    });
+    return resolvers;
+  };
+}
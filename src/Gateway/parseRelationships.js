@@ -0,0 +1,137 @@
+/**
+ * @file parseRelationships
+ * @flow
+ *
+ * Relationships can be declared with an `@relation` directive on the
+ * fields of the `extend type` blocks a service publishes:
+ *
+ *   extend type Author {
+ *     books: [Book] @relation(query: "booksByAuthor", args: { authorId: "parent.id" })
+ *   }
+ *
+ * The directives are turned into relation definitions keyed by type and
+ * field, and stripped from the SDL before it is stitched.
+ */
+import { parse, print } from 'graphql';
+import type { ValueNode, DirectiveNode } from 'graphql';
+import type {
+  RelationDefinition,
+  RelationDefinitions,
+  TypeRelationDefinitions,
+} from '../Types/ServiceConfiguration';
+
+type ParsedRelationships = {
+  schema: string,
+  definitions: TypeRelationDefinitions,
+};
+
+/**
+ * @function getValue
+ * Reads a literal directive argument into a plain javascript value.
+ */
+function getValue(node: ValueNode): any {
+  switch (node.kind) {
+    case 'ObjectValue': {
+      const value = {};
+      node.fields.forEach((field) => {
+        value[field.name.value] = getValue(field.value);
+      });
+      return value;
+    }
+    case 'ListValue':
+      return node.values.map(getValue);
+    case 'IntValue':
+      return parseInt(node.value, 10);
+    case 'FloatValue':
+      return parseFloat(node.value);
+    case 'NullValue':
+      return null;
+    case 'Variable':
+      throw new Error(`Variables can't be used in @relation directives, found $${node.name.value}`);
+    default:
+      return node.value;
+  }
+}
+
+/**
+ * @function getRelationDefinition
+ * Converts the arguments of a `@relation` directive into a definition.
+ * The operation type is taken from whichever of `query` or `mutation`
+ * names the operation.
+ */
+function getRelationDefinition(
+  directive: DirectiveNode,
+  typeName: string,
+  fieldName: string,
+): RelationDefinition {
+  const {
+    query,
+    mutation,
+    args,
+    batch,
+    forwardArgs,
+    connection,
+    paginate,
+  } = (directive.arguments || []).reduce((values, arg) => ({
+    ...values,
+    [arg.name.value]: getValue(arg.value),
+  }), {});
+  if (!query === !mutation) {
+    throw new Error(`@relation on ${typeName}.${fieldName} must name either a query or a mutation`);
+  }
+  const definition: RelationDefinition = {
+    type: query ? 'query' : 'mutation',
+    operationName: query || mutation,
+  };
+  if (args) definition.args = args;
+  if (forwardArgs) definition.forwardArgs = forwardArgs;
+  if (connection) definition.connection = connection;
+  if (paginate) definition.paginate = paginate;
+  if (batch) {
+    const { query: batchOperation, ...batchDefinition } = batch;
+    definition.batch = { operationName: batchOperation, ...batchDefinition };
+  }
+  return definition;
+}
+
+/**
+ * @function parseRelationships
+ * Collects the relation definitions of every extended type. Fields
+ * without an `@relation` directive fall back to the definition of the
+ * same name in `relationDefinitions`.
+ */
+export function parseRelationships(
+  relationships: string,
+  relationDefinitions?: RelationDefinitions = {},
+): ParsedRelationships {
+  const documentNode = parse(relationships);
+  const definitions = {};
+  const typeDefinitions = documentNode.definitions.map((definition) => {
+    if (definition.kind !== 'TypeExtensionDefinition' || !definition.definition) return definition;
+    const typeName = definition.definition.name.value;
+    const fields = definition.definition.fields.map((field) => {
+      const fieldName = field.name.value;
+      const directive = (field.directives || []).find(({ name }) => name.value === 'relation');
+      if (directive) {
+        definitions[typeName] = {
+          ...definitions[typeName],
+          [fieldName]: getRelationDefinition(directive, typeName, fieldName),
+        };
+      } else if (relationDefinitions[fieldName]) {
+        definitions[typeName] = {
+          ...definitions[typeName],
+          [fieldName]: relationDefinitions[fieldName],
+        };
+      }
+      return {
+        ...field,
+        directives: (field.directives || []).filter(({ name }) => name.value !== 'relation'),
+      };
+    });
+    return { ...definition, definition: { ...definition.definition, fields } };
+  });
+  return {
+    schema: print({ ...documentNode, definitions: typeDefinitions }),
+    definitions,
+  };
+}
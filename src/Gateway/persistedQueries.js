@@ -0,0 +1,116 @@
+/**
+ * @file persistedQueries
+ * @flow
+ *
+ * Automatic persisted queries: clients send the sha256 hash of a
+ * document in `extensions.persistedQuery` and only send the document
+ * itself when the gateway doesn't know the hash yet.
+ */
+import { hashSchema } from './utilities';
+import { GraphQLServiceError } from '../errors';
+
+export type PersistedQueryStore = {
+  get(hash: string): Promise<?string>,
+  set(hash: string, query: string): Promise<mixed>,
+};
+
+export type PersistedQueryOptions = {
+  // 'memory' (default), 'cacher' for the broker's cacher, or a custom store
+  store?: 'memory' | 'cacher' | PersistedQueryStore,
+  // Only run queries registered ahead of time
+  allowList?: boolean,
+  // Queries registered when the gateway is created
+  queries?: Array<string>,
+  // Most queries the memory store keeps, the least recently used are dropped past it
+  maxSize?: number,
+};
+
+type PersistedQueryRequest = {
+  query?: string,
+  extensions?: Object,
+};
+
+type ResolvedQuery = {
+  query?: string,
+  errors?: Array<GraphQLServiceError>,
+};
+
+// Key prefix of persisted queries kept in a moleculer cacher
+const CACHER_PREFIX = 'graphql-persisted.';
+
+const notFound = () => new GraphQLServiceError('PersistedQueryNotFound', 'PERSISTED_QUERY_NOT_FOUND');
+const notSupported = () => new GraphQLServiceError('PersistedQueryNotSupported', 'PERSISTED_QUERY_NOT_SUPPORTED');
+const notAllowed = () => new GraphQLServiceError('PersistedQueryNotAllowed', 'PERSISTED_QUERY_NOT_ALLOWED');
+
+const DEFAULT_MAX_SIZE = 1000;
+
+export const hashQuery = (query: string): string => hashSchema(query);
+
+/**
+ * @function createMemoryStore
+ * Keeps persisted queries in the memory of the gateway. Maps iterate in
+ * insertion order, so queries are moved to the end when used and the
+ * first one is the least recently used.
+ */
+export function createMemoryStore(maxSize: number = DEFAULT_MAX_SIZE): PersistedQueryStore {
+  const queries: Map<string, string> = new Map();
+  const touch = (hash, query) => {
+    queries.delete(hash);
+    queries.set(hash, query);
+  };
+  return {
+    get: (hash) => {
+      const query = queries.get(hash);
+      if (query !== undefined) touch(hash, query);
+      return Promise.resolve(query);
+    },
+    set: (hash, query) => {
+      touch(hash, query);
+      const { value: oldest } = queries.keys().next();
+      if (queries.size > maxSize && oldest) queries.delete(oldest);
+      return Promise.resolve();
+    },
+  };
+}
+
+// Keeps persisted queries in a moleculer cacher, shared by every gateway using it
+export function createCacherStore(cacher: Object): PersistedQueryStore {
+  return {
+    get: hash => cacher.get(`${CACHER_PREFIX}${hash}`),
+    set: (hash, query) => cacher.set(`${CACHER_PREFIX}${hash}`, query, 0),
+  };
+}
+
+/**
+ * @function resolvePersistedQuery
+ * Finds the document of a request. Documents sent along with their hash
+ * are registered, unless only allowed queries may run.
+ */
+export function resolvePersistedQuery(
+  store: PersistedQueryStore,
+  { query, extensions }: PersistedQueryRequest,
+  allowList: boolean,
+): Promise<ResolvedQuery> {
+  const persistedQuery = extensions && extensions.persistedQuery;
+  if (!persistedQuery) {
+    if (!allowList || !query) return Promise.resolve({ query });
+    const queryText = query;
+    return store.get(hashQuery(queryText)).then(stored => (
+      stored ? { query: queryText } : { errors: [notAllowed()] }
+    ));
+  }
+  const { sha256Hash: hash } = persistedQuery;
+  if (persistedQuery.version !== 1 || typeof hash !== 'string') {
+    return Promise.resolve({ errors: [notSupported()] });
+  }
+  if (query && hashQuery(query) !== hash) {
+    return Promise.resolve({ errors: [new GraphQLServiceError('provided sha does not match query', 'BAD_REQUEST')] });
+  }
+  return store.get(hash).then((stored) => {
+    if (stored) return { query: stored };
+    if (!query) return { errors: [notFound()] };
+    if (allowList) return { errors: [notAllowed()] };
+    const queryText = query;
+    return store.set(hash, queryText).then(() => ({ query: queryText }));
+  });
+}
@@ -0,0 +1,188 @@
+/**
+ * @file queryLimits
+ * @flow
+ *
+ * Validation rules that reject queries which are too deep or too
+ * expensive before the gateway delegates any part of them.
+ */
+import {
+  getNamedType,
+  GraphQLError,
+  GraphQLInterfaceType,
+  GraphQLObjectType,
+} from 'graphql';
+import type {
+  FragmentDefinitionNode,
+  GraphQLType,
+  SelectionSetNode,
+  ValidationContext,
+} from 'graphql';
+import type { CostHints } from '../Types/ServiceConfiguration';
+
+type FragmentMap = {
+  [fragmentName: string]: FragmentDefinitionNode,
+};
+
+// Depth or cost of each fragment already walked, so spreading it again costs nothing to work out
+type FragmentValues = {
+  [fragmentName: string]: number,
+};
+
+const isIntrospectionField = (name: string): boolean => name.startsWith('__');
+
+/**
+ * @function getFragmentValue
+ * Works a fragment's depth or cost out once. It counts for nothing
+ * while it is being walked, which cuts fragment cycles short.
+ */
+function getFragmentValue(
+  name: string,
+  walked: FragmentValues,
+  walk: () => number,
+): number {
+  if (!(name in walked)) {
+    walked[name] = 0;
+    walked[name] = walk();
+  }
+  return walked[name];
+}
+
+/**
+ * @function getDepth
+ * Counts the levels of fields in a selection set. Fragments add their
+ * fields to the level they are spread in.
+ */
+function getDepth(
+  selectionSet: SelectionSetNode,
+  fragments: FragmentMap,
+  walked: FragmentValues = {},
+): number {
+  return selectionSet.selections.reduce((depth, selection) => {
+    if (selection.kind === 'Field') {
+      if (isIntrospectionField(selection.name.value)) return depth;
+      const fieldDepth = selection.selectionSet
+        ? 1 + getDepth(selection.selectionSet, fragments, walked)
+        : 1;
+      return Math.max(depth, fieldDepth);
+    }
+    if (selection.kind === 'InlineFragment') {
+      return Math.max(depth, getDepth(selection.selectionSet, fragments, walked));
+    }
+    const fragment = fragments[selection.name.value];
+    if (!fragment) return depth;
+    return Math.max(
+      depth,
+      getFragmentValue(fragment.name.value, walked, () => getDepth(fragment.selectionSet, fragments, walked)),
+    );
+  }, 0);
+}
+
+/**
+ * @function getCost
+ * Sums the cost of every field in a selection set. A field costs its
+ * own cost plus the cost of its selections times its multiplier.
+ */
+function getCost(
+  selectionSet: SelectionSetNode,
+  parentType: ?GraphQLType,
+  fragments: FragmentMap,
+  context: ValidationContext,
+  hints: CostHints,
+  walked: FragmentValues = {},
+): number {
+  const schema = context.getSchema();
+  return selectionSet.selections.reduce((cost, selection) => {
+    if (selection.kind === 'Field') {
+      const fieldName = selection.name.value;
+      if (isIntrospectionField(fieldName)) return cost;
+      if (!(parentType instanceof GraphQLObjectType || parentType instanceof GraphQLInterfaceType)) {
+        return cost;
+      }
+      const field = parentType.getFields()[fieldName];
+      if (!field) return cost;
+      const hint = (hints[parentType.name] || {})[fieldName] || {};
+      const fieldCost = hint.cost !== undefined ? hint.cost : 1;
+      if (!selection.selectionSet) return cost + fieldCost;
+      const multiplier = hint.multiplier !== undefined ? hint.multiplier : 1;
+      const childCost = getCost(
+        selection.selectionSet,
+        getNamedType(field.type),
+        fragments,
+        context,
+        hints,
+        walked,
+      );
+      return cost + fieldCost + (multiplier * childCost);
+    }
+    if (selection.kind === 'InlineFragment') {
+      const type = selection.typeCondition
+        ? schema.getType(selection.typeCondition.name.value)
+        : parentType;
+      return cost + getCost(selection.selectionSet, type, fragments, context, hints, walked);
+    }
+    const fragment = fragments[selection.name.value];
+    if (!fragment) return cost;
+    // The cost of a fragment only depends on its type condition, not on where it is spread
+    return cost + getFragmentValue(fragment.name.value, walked, () => getCost(
+      fragment.selectionSet,
+      schema.getType(fragment.typeCondition.name.value),
+      fragments,
+      context,
+      hints,
+      walked,
+    ));
+  }, 0);
+}
+
+const getFragments = (context: ValidationContext): FragmentMap => {
+  const fragments = {};
+  context.getDocument().definitions.forEach((definition) => {
+    if (definition.kind === 'FragmentDefinition') fragments[definition.name.value] = definition;
+  });
+  return fragments;
+};
+
+const getRootType = (context: ValidationContext, operation: string): ?GraphQLObjectType => {
+  const schema = context.getSchema();
+  if (operation === 'mutation') return schema.getMutationType();
+  if (operation === 'subscription') return schema.getSubscriptionType();
+  return schema.getQueryType();
+};
+
+/**
+ * @function createDepthLimitRule
+ * Rejects operations nesting fields deeper than maxDepth.
+ */
+export function createDepthLimitRule(maxDepth: number) {
+  return (context: ValidationContext): Object => ({
+    OperationDefinition(node) {
+      const depth = getDepth(node.selectionSet, getFragments(context));
+      if (depth > maxDepth) {
+        context.reportError(new GraphQLError(
+          `Query depth of ${depth} exceeds the maximum depth of ${maxDepth}.`,
+          [node],
+        ));
+      }
+    },
+  });
+}
+
+/**
+ * @function createCostLimitRule
+ * Rejects operations whose estimated cost is higher than maxCost.
+ */
+export function createCostLimitRule(maxCost: number, hints: CostHints) {
+  return (context: ValidationContext): Object => ({
+    OperationDefinition(node) {
+      const rootType = getRootType(context, node.operation);
+      if (!rootType) return;
+      const cost = getCost(node.selectionSet, rootType, getFragments(context), context, hints);
+      if (cost > maxCost) {
+        context.reportError(new GraphQLError(
+          `Query cost of ${cost} exceeds the maximum cost of ${maxCost}.`,
+          [node],
+        ));
+      }
+    },
+  });
+}
@@ -0,0 +1,259 @@
+/**
+ * @file relationConnections
+ * @flow
+ *
+ * Relationships defined with `connection: true` return a Relay
+ * connection over the list their operation resolves to:
+ *
+ *   extend type Author {
+ *     books(first: Int, after: String): BookConnection @relation(
+ *       query: "booksByAuthor",
+ *       args: { authorId: "parent.id" },
+ *       connection: true,
+ *     )
+ *   }
+ *
+ * The gateway defines the connection, edge and PageInfo types that no
+ * service does and delegates the selections made under `edges.node`.
+ * Definitions with `paginate` name the offset and limit arguments of
+ * the operation, so it only returns the requested page. Otherwise, or
+ * when the page can't be worked out without the length of the list,
+ * the gateway cuts the page out of the whole list.
+ */
+import {
+  getNamedType,
+  GraphQLInt,
+  GraphQLList,
+  GraphQLObjectType,
+  Kind,
+  parse,
+} from 'graphql';
+import type {
+  FieldNode,
+  GraphQLCompositeType,
+  GraphQLLeafType,
+  GraphQLOutputType,
+  GraphQLResolveInfo,
+  SelectionNode,
+} from 'graphql';
+import { getConnectionTypes, getSlice, pageInfoType, toConnection } from '../connections';
+import type { Connection, ConnectionArgs, ConnectionSlice } from '../connections';
+import type { RelationDefinition, TypeRelationDefinitions } from '../Types/ServiceConfiguration';
+
+type ResolverProps = {
+  parent: Object,
+  args: Object,
+  context: Object,
+  info: GraphQLResolveInfo,
+};
+
+export type PageDelegation = {
+  // Delegates the nodes of a slice of the list
+  delegatePage: (nodeInfo: GraphQLResolveInfo, slice: ConnectionSlice) => Promise<?Array<Object>>,
+  // Delegates the length of the whole list, when the operation can be counted
+  delegateCount?: (countInfo: GraphQLResolveInfo) => Promise<?number>,
+};
+
+// Arguments that page through a connection, they are never forwarded
+export const CONNECTION_ARGS = ['first', 'after', 'last', 'before'];
+
+const CONNECTION_SUFFIX = 'Connection';
+
+/**
+ * @function getForwardedArgs
+ * Picks the field arguments a relationship passes on to its operation.
+ */
+export function getForwardedArgs(definition: RelationDefinition, args: Object): Object {
+  const { forwardArgs, connection } = definition;
+  if (!forwardArgs) return {};
+  const names = forwardArgs === true ? Object.keys(args) : forwardArgs;
+  const forwarded = {};
+  names
+    .filter(name => !(connection && CONNECTION_ARGS.includes(name)))
+    .filter(name => args[name] !== undefined)
+    .forEach((name) => {
+      forwarded[name] = args[name];
+    });
+  return forwarded;
+}
+
+// Type of the nodes of a connection type, null when the type isn't one
+export function getConnectionNodeType(type: GraphQLOutputType): ?(GraphQLCompositeType | GraphQLLeafType) {
+  const connectionType = getNamedType(type);
+  if (!(connectionType instanceof GraphQLObjectType)) return null;
+  const { edges } = connectionType.getFields();
+  const edgeType = edges ? getNamedType(edges.type) : null;
+  if (!(edgeType instanceof GraphQLObjectType)) return null;
+  const { node } = edgeType.getFields();
+  // The named type of a field is a composite or leaf type
+  return node ? (getNamedType(node.type): any) : null;
+}
+
+// Type of the nodes of a connection type, by the naming convention
+export const getConnectionNodeName = (connectionName: string): string => (
+  connectionName.endsWith(CONNECTION_SUFFIX)
+    ? connectionName.slice(0, -CONNECTION_SUFFIX.length)
+    : connectionName
+);
+
+/**
+ * @function getConnectionTypeNames
+ * Lists the types returned by the connection relationships of an SDL.
+ */
+export function getConnectionTypeNames(
+  relationships: string,
+  definitions: TypeRelationDefinitions,
+): Array<string> {
+  const names = [];
+  parse(relationships).definitions.forEach((definition) => {
+    if (definition.kind !== 'TypeExtensionDefinition' || !definition.definition) return;
+    const typeDefinitions = definitions[definition.definition.name.value] || {};
+    definition.definition.fields
+      .filter(field => typeDefinitions[field.name.value] && typeDefinitions[field.name.value].connection)
+      .forEach((field) => {
+        let typeNode = field.type;
+        while (typeNode.kind !== 'NamedType') typeNode = typeNode.type;
+        names.push(typeNode.name.value);
+      });
+  });
+  return names;
+}
+
+/**
+ * @function getConnectionTypeDefs
+ * Builds the SDL of the connection types relationships return that no
+ * service defines, for the node types that are available. Returns null
+ * when there's nothing to add.
+ */
+export function getConnectionTypeDefs(
+  connectionNames: Array<string>,
+  definedTypes: Array<string>,
+): ?string {
+  const missing = Array.from(new Set(connectionNames))
+    .filter(name => name.endsWith(CONNECTION_SUFFIX) && !definedTypes.includes(name))
+    .map(getConnectionNodeName)
+    .filter(nodeName => definedTypes.includes(nodeName));
+  if (missing.length === 0) return null;
+  const typeDefs = missing.map(getConnectionTypes);
+  if (!definedTypes.includes('PageInfo')) typeDefs.push(pageInfoType);
+  return typeDefs.join('\n');
+}
+
+// Fields of a selection set with the given name, including those in fragments
+function collectFields(
+  selections: $ReadOnlyArray<SelectionNode>,
+  fieldName: string,
+  fragments: Object,
+): Array<FieldNode> {
+  return selections.reduce((fields, selection) => {
+    if (selection.kind === Kind.FIELD) {
+      return selection.name.value === fieldName ? fields.concat(selection) : fields;
+    }
+    const fragment = selection.kind === Kind.INLINE_FRAGMENT
+      ? selection
+      : fragments[selection.name.value];
+    return fragment
+      ? fields.concat(collectFields(fragment.selectionSet.selections, fieldName, fragments))
+      : fields;
+  }, []);
+}
+
+/**
+ * @function getNodeInfo
+ * Turns the resolve info of a connection field into the info of a list
+ * of its nodes, with the selections made under `edges.node`, so the
+ * list can be delegated to the operation.
+ */
+export function getNodeInfo(info: GraphQLResolveInfo): GraphQLResolveInfo {
+  const selections = [];
+  info.fieldNodes.forEach((fieldNode) => {
+    if (!fieldNode.selectionSet) return;
+    collectFields(fieldNode.selectionSet.selections, 'edges', info.fragments)
+      .forEach(({ selectionSet }) => {
+        if (!selectionSet) return;
+        collectFields(selectionSet.selections, 'node', info.fragments)
+          .forEach(node => selections.push(...(node.selectionSet ? node.selectionSet.selections : [])));
+      });
+  });
+  const nodeType = getConnectionNodeType(info.returnType);
+  if (!nodeType) throw new Error(`${String(info.returnType)} is not a connection type`);
+  return {
+    ...info,
+    returnType: new GraphQLList(nodeType),
+    fieldNodes: [{
+      kind: Kind.FIELD,
+      name: info.fieldNodes[0].name,
+      arguments: [],
+      directives: [],
+      selectionSet: {
+        kind: Kind.SELECTION_SET,
+        // The list is fetched to be counted even when no node field is selected
+        selections: selections.length > 0
+          ? selections
+          : [{ kind: Kind.FIELD, name: { kind: Kind.NAME, value: '__typename' } }],
+      },
+    }],
+  };
+}
+
+// Turns the resolve info of a connection field into the info of its count
+const getCountInfo = (info: GraphQLResolveInfo): GraphQLResolveInfo => ({
+  ...info,
+  returnType: GraphQLInt,
+  fieldNodes: [{
+    kind: Kind.FIELD,
+    name: info.fieldNodes[0].name,
+    arguments: [],
+    directives: [],
+  }],
+});
+
+// Whether a connection field selects totalCount
+const selectsTotalCount = (info: GraphQLResolveInfo): boolean => info.fieldNodes
+  .some(({ selectionSet }) => Boolean(selectionSet
+    && collectFields(selectionSet.selections, 'totalCount', info.fragments).length > 0));
+
+/**
+ * @function getPageSlice
+ * Works out the slice of the list a page spans without knowing its
+ * length. Returns null when it can't, as with `last` and no `before`,
+ * or when the page runs to the end of the list.
+ */
+export function getPageSlice(args: ConnectionArgs): ?ConnectionSlice {
+  const slice = getSlice(args, Infinity);
+  return Number.isFinite(slice.offset) && Number.isFinite(slice.limit) ? slice : null;
+}
+
+/**
+ * @function resolveConnection
+ * Delegates the nodes of a connection field. Operations that paginate
+ * are asked for the page alone, with one more node to tell whether a
+ * next page follows. The page is cut out of the whole list otherwise,
+ * and when totalCount is selected but the list can't be counted.
+ */
+export async function resolveConnection(
+  props: ResolverProps,
+  delegate: (nodeInfo: GraphQLResolveInfo) => Promise<?Array<Object>>,
+  paging?: ?PageDelegation,
+): Promise<Connection<Object>> {
+  const nodeInfo = getNodeInfo(props.info);
+  const slice = paging ? getPageSlice(props.args) : null;
+  const countsTotal = selectsTotalCount(props.info);
+  if (paging && slice && (!countsTotal || paging.delegateCount)) {
+    const { offset, limit } = slice;
+    const { delegatePage, delegateCount } = paging;
+    const [page, totalCount] = await Promise.all([
+      delegatePage(nodeInfo, { offset, limit: limit + 1 }),
+      countsTotal && delegateCount ? delegateCount(getCountInfo(props.info)) : null,
+    ]);
+    const nodes = page || [];
+    return toConnection(
+      nodes.slice(0, limit),
+      offset,
+      typeof totalCount === 'number' ? totalCount : offset + nodes.length,
+    );
+  }
+  const nodes = (await delegate(nodeInfo)) || [];
+  const { offset, limit } = getSlice(props.args, nodes.length);
+  return toConnection(nodes.slice(offset, offset + limit), offset, nodes.length);
+}
@@ -0,0 +1,112 @@
+/**
+ * @file responseCache
+ * @flow
+ *
+ * Caches the results of the queries the gateway delegates to services
+ * in a moleculer cacher. Services decide how long their fields may be
+ * cached through the `cacheControl` option of createGraphqlMixin.
+ */
+import { getOperationAST, TypeInfo, visit, visitWithTypeInfo } from 'graphql';
+import selectn from 'selectn';
+import { hashSchema } from './utilities';
+import type { DocumentNode, ExecutionResult, GraphQLSchema } from 'graphql';
+import type { CacheControl } from '../Types/ServiceConfiguration';
+
+export type CacheOptions = {
+  // Dot notation paths of the meta fields that make a result differ between callers
+  metaKeys?: Array<string>,
+};
+
+export type LinkCacheOptions = CacheOptions & {
+  schema: GraphQLSchema,
+  cacheControl?: CacheControl,
+};
+
+type CachedRequest = {
+  service: string,
+  document: DocumentNode,
+  query: string,
+  variables?: Object,
+  operationName?: string,
+  meta?: ?Object,
+};
+
+const copy = (result: ExecutionResult): ExecutionResult => JSON.parse(JSON.stringify(result));
+
+// Extensions, like tracing, describe a single call and aren't cached
+const withoutExtensions = ({ extensions, ...result }: Object): ExecutionResult => result;
+
+// Pattern matching every cached result of a service
+export const getCachePattern = (service: string): string => `graphql.${service}.*`;
+
+/**
+ * @function getCacheKey
+ * Results are keyed by the service, the document, its variables and
+ * the selected meta fields of the caller.
+ */
+export function getCacheKey(
+  { service, query, variables, operationName, meta }: CachedRequest,
+  metaKeys: Array<string> = [],
+): string {
+  const selectedMeta = metaKeys.map(path => selectn(path, meta || {}));
+  const hash = hashSchema(JSON.stringify([query, variables || {}, operationName, selectedMeta]));
+  return `graphql.${service}.${hash}`;
+}
+
+/**
+ * @function getMaxAge
+ * The max age of a result is the lowest max age of the fields it
+ * selects. Root fields without a hint use the default max age, other
+ * fields inherit the max age of their parent.
+ */
+export function getMaxAge(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  cacheControl?: CacheControl = {},
+): number {
+  const { defaultMaxAge = 0, hints = {} } = cacheControl;
+  const queryType = schema.getQueryType();
+  const typeInfo = new TypeInfo(schema);
+  let maxAge = Infinity;
+  visit(document, visitWithTypeInfo(typeInfo, {
+    Field(node) {
+      const parentType = typeInfo.getParentType();
+      if (!parentType) return;
+      const hint = (hints[parentType.name] || {})[node.name.value];
+      if (hint && hint.maxAge !== undefined) {
+        maxAge = Math.min(maxAge, hint.maxAge);
+      } else if (parentType === queryType) {
+        maxAge = Math.min(maxAge, defaultMaxAge);
+      }
+    },
+  }));
+  return maxAge === Infinity ? defaultMaxAge : maxAge;
+}
+
+/**
+ * @function callWithCache
+ * Answers queries from the cache when possible and caches the results
+ * without errors. Mutations drop every cached result of the service.
+ */
+export function callWithCache(
+  cacher: Object,
+  cache: LinkCacheOptions,
+  request: CachedRequest,
+  call: () => Promise<ExecutionResult>,
+): Promise<ExecutionResult> {
+  const operation = getOperationAST(request.document, request.operationName);
+  if (operation && operation.operation === 'mutation') {
+    return call().then(result => cacher.clean(getCachePattern(request.service)).then(() => result));
+  }
+  if (!operation || operation.operation !== 'query') return call();
+  const maxAge = getMaxAge(cache.schema, request.document, cache.cacheControl);
+  if (maxAge <= 0) return call();
+  const key = getCacheKey(request, cache.metaKeys);
+  return cacher.get(key).then((cached) => {
+    if (cached) return copy(cached);
+    return call().then((result) => {
+      if (result.errors) return result;
+      return cacher.set(key, copy(withoutExtensions(result)), maxAge).then(() => result);
+    });
+  });
+}
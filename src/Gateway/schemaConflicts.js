@@ -0,0 +1,290 @@
+/**
+ * @file schemaConflicts
+ * @flow
+ *
+ * mergeSchemas keeps one of the types, or root fields, that several
+ * remote schemas define under the same name. Conflicts are detected
+ * before a service is stitched so they can be resolved on purpose:
+ * identical definitions can be shared, while differing ones either
+ * keep the service out of the schema or are prefixed with its name.
+ * Prefixed names only exist in the gateway, the documents sent to the
+ * service are translated back to the names it knows.
+ */
+import { parse, print, printType, visit } from 'graphql';
+import type { DocumentNode, GraphQLSchema, GraphQLField } from 'graphql';
+
+export type ConflictStrategy = 'fail' | 'prefix' | 'acceptIdentical';
+
+export type SchemaConflict = {
+  kind: 'type' | 'field',
+  // Type name, or root field as `Query.fieldName`
+  name: string,
+  // Service that defined the name first
+  service: string,
+  // Service whose schema conflicts with it
+  conflictingService: string,
+  identical: boolean,
+  resolution?: 'accepted' | 'prefixed' | 'rejected',
+  renamedTo?: string,
+};
+
+export type SchemaRenames = {
+  // Service type names, by their name in the gateway
+  types: { [gatewayName: string]: string },
+  // Service root field names, by operation and their name in the gateway
+  fields: {
+    query: { [gatewayName: string]: string },
+    mutation: { [gatewayName: string]: string },
+  },
+};
+
+type StitchedSchema = {
+  service: string,
+  schema: GraphQLSchema,
+};
+
+const builtInTypes = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+
+const upperFirst = (name: string): string => name.charAt(0).toUpperCase() + name.slice(1);
+const lowerFirst = (name: string): string => name.charAt(0).toLowerCase() + name.slice(1);
+
+// Service names like `book-service` or `v2.books` become valid GraphQL name prefixes, `BookService` or `V2Books`
+const toPrefix = (serviceName: string): string => {
+  const prefix = serviceName
+    .split(/[^_a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map(upperFirst)
+    .join('');
+  return /^[0-9]/.test(prefix) ? `_${prefix}` : prefix;
+};
+
+const getRootTypes = (schema: GraphQLSchema) => ({
+  query: schema.getQueryType(),
+  mutation: schema.getMutationType(),
+});
+
+const getRootTypeNames = (schema: GraphQLSchema): Array<string> => [
+  schema.getQueryType(),
+  schema.getMutationType(),
+  schema.getSubscriptionType(),
+].filter(Boolean).map(type => type.name);
+
+// Named types a schema defines, leaving out root, introspection and built in types
+const getOwnTypeNames = (schema: GraphQLSchema): Array<string> => {
+  const rootTypeNames = getRootTypeNames(schema);
+  return Object.keys(schema.getTypeMap()).filter(name => !name.startsWith('__')
+    && !builtInTypes.includes(name)
+    && !rootTypeNames.includes(name));
+};
+
+const printNamedType = (schema: GraphQLSchema, name: string): string => {
+  const type = schema.getType(name);
+  return type ? printType(type) : '';
+};
+
+const printField = (field: GraphQLField<*, *>): string => {
+  const args = field.args.map(arg => `${arg.name}: ${String(arg.type)}`);
+  return `${field.name}(${args.join(', ')}): ${String(field.type)}`;
+};
+
+/**
+ * @function findConflicts
+ * Lists the types and root fields of a service's schema that the
+ * schemas already stitched define too.
+ */
+export function findConflicts(
+  serviceName: string,
+  schema: GraphQLSchema,
+  stitched: Array<StitchedSchema>,
+): Array<SchemaConflict> {
+  const conflicts = [];
+  const typeNames = getOwnTypeNames(schema);
+  stitched.forEach(({ service, schema: stitchedSchema }) => {
+    const stitchedTypeNames = getOwnTypeNames(stitchedSchema);
+    typeNames.filter(name => stitchedTypeNames.includes(name)).forEach((name) => {
+      conflicts.push({
+        kind: 'type',
+        name,
+        service,
+        conflictingService: serviceName,
+        identical: printNamedType(schema, name) === printNamedType(stitchedSchema, name),
+      });
+    });
+    const rootTypes = getRootTypes(schema);
+    const stitchedRootTypes = getRootTypes(stitchedSchema);
+    Object.keys(rootTypes).forEach((operation) => {
+      const rootType = rootTypes[operation];
+      const stitchedRootType = stitchedRootTypes[operation];
+      if (!rootType || !stitchedRootType) return;
+      const fields = rootType.getFields();
+      const stitchedFields = stitchedRootType.getFields();
+      Object.keys(fields)
+        .filter(fieldName => stitchedFields[fieldName])
+        .forEach((fieldName) => {
+          conflicts.push({
+            kind: 'field',
+            name: `${upperFirst(operation)}.${fieldName}`,
+            service,
+            conflictingService: serviceName,
+            identical: printField(fields[fieldName]) === printField(stitchedFields[fieldName]),
+          });
+        });
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * @function resolveConflicts
+ * Decides what happens to each conflict. Identical definitions are
+ * shared unless the strategy is `fail`, differing ones are prefixed
+ * with the service name under the `prefix` strategy and keep the
+ * service out of the schema otherwise.
+ */
+export function resolveConflicts(
+  conflicts: Array<SchemaConflict>,
+  strategy: ConflictStrategy,
+): Array<SchemaConflict> {
+  return conflicts.map((conflict) => {
+    if (strategy === 'fail') return { ...conflict, resolution: 'rejected' };
+    if (conflict.identical) return { ...conflict, resolution: 'accepted' };
+    if (strategy !== 'prefix') return { ...conflict, resolution: 'rejected' };
+    const { kind, name, conflictingService } = conflict;
+    const prefix = toPrefix(conflictingService);
+    if (kind === 'type') {
+      return { ...conflict, resolution: 'prefixed', renamedTo: `${prefix}${name}` };
+    }
+    const [rootType, fieldName] = name.split('.');
+    return {
+      ...conflict,
+      resolution: 'prefixed',
+      renamedTo: `${rootType}.${lowerFirst(prefix)}${upperFirst(fieldName)}`,
+    };
+  });
+}
+
+// The renames that prefixed conflicts call for, null when there are none
+export function getRenames(conflicts: Array<SchemaConflict>): ?SchemaRenames {
+  const prefixed = conflicts.filter(({ resolution }) => resolution === 'prefixed');
+  if (prefixed.length === 0) return null;
+  const renames = { types: {}, fields: { query: {}, mutation: {} } };
+  prefixed.forEach(({ kind, name, renamedTo = '' }) => {
+    if (kind === 'type') {
+      renames.types[renamedTo] = name;
+    } else {
+      const [rootType, fieldName] = name.split('.');
+      renames.fields[lowerFirst(rootType)][renamedTo.split('.')[1]] = fieldName;
+    }
+  });
+  return renames;
+}
+
+const invert = (map: { [key: string]: string }): { [key: string]: string } => {
+  const inverted = {};
+  Object.keys(map).forEach((key) => {
+    inverted[map[key]] = key;
+  });
+  return inverted;
+};
+
+/**
+ * @function renameSchema
+ * Gives the types and root fields of a service's SDL their names in
+ * the gateway.
+ */
+export function renameSchema(typeDefs: string, renames: SchemaRenames): string {
+  const typeNames = invert(renames.types);
+  const fieldNames = {
+    Query: invert(renames.fields.query),
+    Mutation: invert(renames.fields.mutation),
+  };
+  const renameDefinition = node => (typeNames[node.name.value]
+    ? { ...node, name: { ...node.name, value: typeNames[node.name.value] } }
+    : undefined);
+  let rootType = null;
+  return print(visit(parse(typeDefs), {
+    NamedType: renameDefinition,
+    ScalarTypeDefinition: { leave: renameDefinition },
+    InterfaceTypeDefinition: { leave: renameDefinition },
+    UnionTypeDefinition: { leave: renameDefinition },
+    EnumTypeDefinition: { leave: renameDefinition },
+    InputObjectTypeDefinition: { leave: renameDefinition },
+    ObjectTypeDefinition: {
+      enter(node) {
+        rootType = fieldNames[node.name.value] ? node.name.value : null;
+      },
+      leave(node) {
+        rootType = null;
+        return renameDefinition(node);
+      },
+    },
+    FieldDefinition(node) {
+      const renamed = rootType && fieldNames[rootType][node.name.value];
+      return renamed ? { ...node, name: { ...node.name, value: renamed } } : undefined;
+    },
+  }));
+}
+
+/**
+ * @function restoreNames
+ * Translates a document built against the gateway schema back to the
+ * names the service knows. Renamed root fields are aliased to their
+ * gateway name so the results keep the keys the gateway expects.
+ */
+export function restoreNames(document: DocumentNode, renames: SchemaRenames): DocumentNode {
+  let operation = null;
+  let depth = 0;
+  return visit(document, {
+    OperationDefinition: {
+      enter(node) {
+        operation = node.operation;
+      },
+      leave() {
+        operation = null;
+      },
+    },
+    SelectionSet: {
+      enter() {
+        depth += 1;
+      },
+      leave() {
+        depth -= 1;
+      },
+    },
+    NamedType(node) {
+      const name = renames.types[node.name.value];
+      return name ? { ...node, name: { ...node.name, value: name } } : undefined;
+    },
+    Field(node) {
+      const fields = operation && depth === 1 ? renames.fields[operation] : null;
+      const name = fields && fields[node.name.value];
+      if (!name) return undefined;
+      return {
+        ...node,
+        alias: node.alias || node.name,
+        name: { ...node.name, value: name },
+      };
+    },
+  });
+}
+
+/**
+ * @function renameTypenames
+ * Gives the `__typename` of results the type names of the gateway, so
+ * abstract types resolve to the renamed types.
+ */
+export function renameTypenames(value: any, renames: SchemaRenames): any {
+  const typeNames = invert(renames.types);
+  const rename = (node) => {
+    if (Array.isArray(node)) return node.map(rename);
+    if (!node || typeof node !== 'object') return node;
+    const renamed = {};
+    Object.keys(node).forEach((key) => {
+      renamed[key] = key === '__typename' && typeNames[node[key]]
+        ? typeNames[node[key]]
+        : rename(node[key]);
+    });
+    return renamed;
+  };
+  return rename(value);
+}
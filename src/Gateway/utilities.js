@@ -1,4 +1,6 @@
 // @flow
+import crypto from 'crypto';
+import { parse, print, visit } from 'graphql';
 import type { DocumentNode, TypeNode, NamedTypeNode, ObjectTypeDefinitionNode } from 'graphql';
 import type { GraphQLTypeName } from '../Types/GraphQL';
 
@@ -38,4 +40,86 @@ export function getRelatedTypes(documentNode: RelationshipDocumentNode): Array<G
     }
   });
   return types;
-}
\ No newline at end of file
+}
+
+/**
+ * Removes relationship fields that point at types which are no longer
+ * available, along with extensions of types that are gone entirely.
+ * Returns the remaining fields by extended type, or null when nothing is left.
+ */
+export function pruneRelationships(
+  relationships: string,
+  availableTypes: Array<GraphQLTypeName>,
+): ?{ schema: string, fields: { [typeName: GraphQLTypeName]: Array<string> } } {
+  const documentNode = parse(relationships);
+  const fields = {};
+  const definitions = [];
+  documentNode.definitions.forEach((definition) => {
+    if (definition.kind !== 'TypeExtensionDefinition' || !definition.definition) return;
+    const typeName = definition.definition.name.value;
+    if (!availableTypes.includes(typeName)) return;
+    const availableFields = definition.definition.fields.filter(
+      field => availableTypes.includes(getNamedTypeNode(field.type).name.value)
+    );
+    if (availableFields.length === 0) return;
+    fields[typeName] = (fields[typeName] || []).concat(availableFields.map(field => field.name.value));
+    definitions.push({
+      ...definition,
+      definition: { ...definition.definition, fields: availableFields },
+    });
+  });
+  if (definitions.length === 0) return null;
+  return { schema: print({ ...documentNode, definitions }), fields };
+}
+
+const rootTypeNames = ['Query', 'Mutation', 'Subscription'];
+
+// Names of the object types defined in an SDL, leaving out the root types
+export function getDefinedTypes(schema: string): Array<GraphQLTypeName> {
+  const typeNames = [];
+  parse(schema).definitions.forEach((definition) => {
+    if (definition.kind === 'ObjectTypeDefinition' && !rootTypeNames.includes(definition.name.value)) {
+      typeNames.push(definition.name.value);
+    }
+  });
+  return typeNames;
+}
+
+const builtInScalars = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+
+// Types an SDL refers to or extends without defining them, leaving out the built in scalars
+export function getReferencedTypes(schema: string): Array<GraphQLTypeName> {
+  const documentNode = parse(schema);
+  const definedTypes = [];
+  documentNode.definitions.forEach((definition) => {
+    if (definition.kind === 'SchemaDefinition' || definition.kind === 'TypeExtensionDefinition') return;
+    if (definition.name) definedTypes.push(definition.name.value);
+  });
+  const referencedTypes = new Set();
+  visit(documentNode, {
+    NamedType(node) {
+      referencedTypes.add(node.name.value);
+    },
+    TypeExtensionDefinition(node) {
+      referencedTypes.add(node.definition.name.value);
+    },
+  });
+  return Array.from(referencedTypes)
+    .filter(typeName => !definedTypes.includes(typeName) && !builtInScalars.includes(typeName));
+}
+
+// Every type a graphql service provides, services predating typeNames only list their typeName
+export function getServiceTypes(settings: Object): Array<GraphQLTypeName> {
+  return settings.typeNames || [settings.typeName];
+}
+
+// Fingerprint of a schema's SDL, used to tell when a service's schema changed
+export function hashSchema(schema: string): string {
+  return crypto.createHash('sha256').update(schema).digest('hex');
+}
+
+// Hash of the schema a service publishes, null for services that are introspected
+export function getSchemaHash(settings: Object): ?string {
+  if (settings.schemaHash) return settings.schemaHash;
+  return settings.schema ? hashSchema(settings.schema) : null;
+}
@@ -0,0 +1,206 @@
+/**
+ * @file validateRelationships
+ * @flow
+ *
+ * Relation definitions name the root fields their relationships are
+ * delegated to. They are checked against the stitched schema so that a
+ * misspelled operation or argument is reported when the schema is
+ * built, rather than when a client first queries the field.
+ */
+import {
+  getNamedType,
+  getNullableType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+} from 'graphql';
+import type { GraphQLField, GraphQLSchema, GraphQLType } from 'graphql';
+import { CONNECTION_ARGS, getConnectionNodeType } from './relationConnections';
+import type { RelationDefinition, TypeRelationDefinitions } from '../Types/ServiceConfiguration';
+
+export type RelationshipError = {
+  // Service that declared the relationship
+  service: ?string,
+  type: string,
+  field: string,
+  message: string,
+};
+
+type ServiceRelationDefinitions = {
+  [TypeName: string]: TypeRelationDefinitions,
+};
+
+const isList = (type: GraphQLType): boolean => getNullableType(type) instanceof GraphQLList;
+
+const getRootField = (
+  schema: GraphQLSchema,
+  operation: 'query' | 'mutation',
+  fieldName: string,
+): ?GraphQLField<*, *> => {
+  const rootType = operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+  return rootType ? rootType.getFields()[fieldName] : null;
+};
+
+// Arguments of a root field that must be given, leaving out the ones passed
+const getMissingArgs = (rootField: GraphQLField<*, *>, passed: Array<string>): Array<string> =>
+  rootField.args
+    .filter(arg => arg.type instanceof GraphQLNonNull && arg.defaultValue === undefined)
+    .map(arg => arg.name)
+    .filter(name => !passed.includes(name));
+
+// Forwarded arguments the field requires, so they are always passed on
+const getRequiredForwardedArgs = (
+  field: GraphQLField<*, *>,
+  definition: RelationDefinition,
+): Array<string> => {
+  const { forwardArgs, connection } = definition;
+  if (!forwardArgs) return [];
+  return field.args
+    .filter(arg => forwardArgs === true || forwardArgs.includes(arg.name))
+    .filter(arg => !(connection && CONNECTION_ARGS.includes(arg.name)))
+    .filter(arg => arg.type instanceof GraphQLNonNull)
+    .map(arg => arg.name);
+};
+
+/**
+ * @function checkReturnType
+ * Lists what is wrong with the type a relationship returns, compared to
+ * the root field it delegates to.
+ */
+function checkReturnType(
+  field: GraphQLField<*, *>,
+  definition: RelationDefinition,
+  rootField: GraphQLField<*, *>,
+): Array<string> {
+  const { type: operation, operationName, connection } = definition;
+  if (connection) {
+    const nodeType = getConnectionNodeType(field.type);
+    if (!nodeType) return [`returns ${String(field.type)} which is not a connection`];
+    return isList(rootField.type) && getNamedType(rootField.type).name === nodeType.name
+      ? []
+      : [`is a connection of ${nodeType.name} but ${operation} field ${operationName} returns ${String(rootField.type)}`];
+  }
+  // Lists and single values don't mix, nullability may differ
+  if (isList(field.type) !== isList(rootField.type)
+    || getNamedType(field.type).name !== getNamedType(rootField.type).name) {
+    return [`returns ${String(field.type)} but ${operation} field ${operationName} returns ${String(rootField.type)}`];
+  }
+  return [];
+}
+
+/**
+ * @function checkPagination
+ * Lists what is wrong with the pagination of a connection relationship,
+ * compared to the root fields it delegates to.
+ */
+function checkPagination(
+  schema: GraphQLSchema,
+  definition: RelationDefinition,
+  rootField: GraphQLField<*, *>,
+): Array<string> {
+  const { type: operation, operationName, paginate, connection } = definition;
+  if (!paginate) return [];
+  if (!connection) return ['paginates but is not a connection'];
+  const problems = [];
+  const argNames = rootField.args.map(arg => arg.name);
+  [paginate.offsetArg, paginate.limitArg]
+    .filter(name => !argNames.includes(name))
+    .forEach(name => problems.push(`${operation} field ${operationName} has no ${name} argument`));
+  if (paginate.countQuery) {
+    const countField = getRootField(schema, 'query', paginate.countQuery);
+    if (!countField) {
+      problems.push(`count query field ${paginate.countQuery} does not exist`);
+    } else if (isList(countField.type) || getNamedType(countField.type).name !== 'Int') {
+      problems.push(`count query field ${paginate.countQuery} returns ${String(countField.type)} instead of Int`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * @function checkDefinition
+ * Lists what is wrong with the definition of a single relationship
+ * field, an empty list when it can be resolved.
+ */
+function checkDefinition(
+  schema: GraphQLSchema,
+  field: GraphQLField<*, *>,
+  definition: RelationDefinition,
+): Array<string> {
+  const problems = [];
+  const { type: operation, operationName, args = {}, batch, forwardArgs } = definition;
+  const requiredForwarded = getRequiredForwardedArgs(field, definition);
+  // Only the arguments listed on purpose have to exist, `true` forwards whichever the operation takes
+  const explicitlyForwarded = Array.isArray(forwardArgs) ? forwardArgs : [];
+  const fieldArgNames = field.args.map(arg => arg.name);
+  explicitlyForwarded
+    .filter(name => !fieldArgNames.includes(name))
+    .forEach(name => problems.push(`forwarded argument ${name} is not an argument of the field`));
+  const rootField = getRootField(schema, operation, operationName);
+  if (!rootField) {
+    problems.push(`${operation} field ${operationName} does not exist`);
+  } else {
+    const argNames = rootField.args.map(arg => arg.name);
+    Object.keys(args).concat(explicitlyForwarded)
+      .filter(name => !argNames.includes(name))
+      .forEach(name => problems.push(`${operation} field ${operationName} has no ${name} argument`));
+    getMissingArgs(rootField, Object.keys(args).concat(requiredForwarded))
+      .forEach(name => problems.push(`required argument ${name} of ${operation} field ${operationName} is not passed`));
+    problems.push(...checkReturnType(field, definition, rootField));
+    problems.push(...checkPagination(schema, definition, rootField));
+  }
+  if (!batch) return problems;
+
+  const batchField = getRootField(schema, operation, batch.operationName);
+  if (!batchField) {
+    problems.push(`batch ${operation} field ${batch.operationName} does not exist`);
+    return problems;
+  }
+  const batchArgNames = batchField.args.map(arg => arg.name);
+  [batch.argName].concat(explicitlyForwarded)
+    .filter(name => !batchArgNames.includes(name))
+    .forEach(name => problems.push(`batch ${operation} field ${batch.operationName} has no ${name} argument`));
+  getMissingArgs(batchField, [batch.argName].concat(requiredForwarded))
+    .forEach(name => problems.push(`required argument ${name} of batch ${operation} field ${batch.operationName} is not passed`));
+  if (!isList(batchField.type)) {
+    problems.push(`batch ${operation} field ${batch.operationName} does not return a list`);
+  }
+  const resultType = getNamedType(batchField.type);
+  if (resultType instanceof GraphQLObjectType && !resultType.getFields()[batch.key]) {
+    problems.push(`batch key ${batch.key} is not a field of ${resultType.name}`);
+  }
+  return problems;
+}
+
+/**
+ * @function validateRelationships
+ * Checks the relation definitions of every service against the
+ * stitched schema. Relationships that aren't part of the schema, like
+ * those pointing at types that are gone, are skipped.
+ */
+export function validateRelationships(
+  schema: GraphQLSchema,
+  relationDefinitions: ServiceRelationDefinitions,
+  getServiceName: (typeName: string) => ?string,
+): Array<RelationshipError> {
+  const errors = [];
+  Object.keys(relationDefinitions).forEach((serviceType) => {
+    const definitions = relationDefinitions[serviceType] || {};
+    Object.keys(definitions).forEach((typeName) => {
+      const type = schema.getType(typeName);
+      if (!(type instanceof GraphQLObjectType)) return;
+      const fields = type.getFields();
+      Object.keys(definitions[typeName]).forEach((fieldName) => {
+        if (!fields[fieldName]) return;
+        checkDefinition(schema, fields[fieldName], definitions[typeName][fieldName])
+          .forEach(message => errors.push({
+            service: getServiceName(serviceType),
+            type: typeName,
+            field: fieldName,
+            message,
+          }));
+      });
+    });
+  });
+  return errors;
+}
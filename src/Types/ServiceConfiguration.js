@@ -4,10 +4,32 @@ type ArgumentDefinitionMap = {
   [propName: string]: dotNotationPath,
 }
 
+export type BatchDefinition = {
+  operationName: string,
+  argName: string,
+  parentKey: dotNotationPath,
+  key: string,
+};
+
+export type PaginationDefinition = {
+  // Arguments of the operation taking the number of items to skip and to return
+  offsetArg: string,
+  limitArg: string,
+  // Query counting the whole list from the same arguments, for totalCount
+  countQuery?: string,
+};
+
 export type RelationDefinition = {
   type: 'query' | 'mutation',
   args?: ArgumentDefinitionMap,
   operationName: string,
+  batch?: BatchDefinition,
+  // Arguments of the field passed on to the operation, true for all of them
+  forwardArgs?: Array<string> | boolean,
+  // The field is a connection paginating the list the operation returns
+  connection?: boolean,
+  // The operation returns only the page of a connection
+  paginate?: PaginationDefinition,
 };
 
 export type RelationDefinitions = {
@@ -17,3 +39,46 @@ export type RelationDefinitions = {
 export type TypeRelationDefinitions = {
   [typeName: string]: RelationDefinitions,
 }
+
+export type SubscriptionDefinition = {
+  event: string,
+  filter?: ArgumentDefinitionMap,
+};
+
+export type SubscriptionDefinitions = {
+  [fieldName: string]: SubscriptionDefinition,
+};
+
+export type TypeSubscriptionDefinitions = {
+  [typeName: string]: SubscriptionDefinitions,
+}
+
+export type FieldCostHint = {
+  // Cost of resolving the field itself, defaults to 1
+  cost?: number,
+  // How many times the selections under the field are expected to be resolved
+  multiplier?: number,
+};
+
+export type CostHints = {
+  [typeName: string]: {
+    [fieldName: string]: FieldCostHint,
+  },
+};
+
+export type CacheControlHint = {
+  // Seconds the field may be cached for
+  maxAge?: number,
+};
+
+export type CacheControl = {
+  // Max age of root fields without a hint, 0 disables caching
+  defaultMaxAge?: number,
+  hints?: {
+    [typeName: string]: {
+      [fieldName: string]: CacheControlHint,
+    },
+  },
+  // Events that drop every cached result of the service
+  invalidateOn?: Array<string>,
+};
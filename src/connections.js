@@ -0,0 +1,117 @@
+/**
+ * @file connections
+ * @flow
+ *
+ * Relay style connections over offset based lists. Cursors encode the
+ * offset of an item in the list, and are opaque to clients so the way
+ * they are built can change without breaking them.
+ */
+import { ValidationError } from './errors';
+
+export type ConnectionArgs = {
+  first?: ?number,
+  after?: ?string,
+  last?: ?number,
+  before?: ?string,
+};
+
+export type Connection<T> = {
+  edges: Array<{ node: T, cursor: string }>,
+  pageInfo: {
+    hasNextPage: boolean,
+    hasPreviousPage: boolean,
+    startCursor: ?string,
+    endCursor: ?string,
+  },
+  totalCount: number,
+};
+
+// Items of the list a page spans
+export type ConnectionSlice = {
+  offset: number,
+  limit: number,
+};
+
+const CURSOR_PREFIX = 'offset:';
+
+export const pageInfoType = `
+  type PageInfo {
+    hasNextPage: Boolean!,
+    hasPreviousPage: Boolean!,
+    startCursor: String,
+    endCursor: String,
+  }
+`;
+
+export const connectionArgs = 'first: Int, after: String, last: Int, before: String';
+
+/**
+ * @function getConnectionTypes
+ * Builds the SDL of the connection and edge types of a type. PageInfo
+ * is shared by every connection and defined separately.
+ */
+export const getConnectionTypes = (typeName: string): string => `
+  type ${typeName}Connection {
+    edges: [${typeName}Edge],
+    pageInfo: PageInfo!,
+    totalCount: Int!,
+  }
+
+  type ${typeName}Edge {
+    node: ${typeName},
+    cursor: String!,
+  }
+`;
+
+export const encodeCursor = (offset: number): string =>
+  Buffer.from(`${CURSOR_PREFIX}${offset}`).toString('base64');
+
+export function decodeCursor(cursor: string): number {
+  const decoded = Buffer.from(cursor, 'base64').toString();
+  const offset = Number(decoded.slice(CURSOR_PREFIX.length));
+  if (!decoded.startsWith(CURSOR_PREFIX) || !Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError(`Invalid cursor ${cursor}`);
+  }
+  return offset;
+}
+
+/**
+ * @function getSlice
+ * Works out which items of a list of totalCount items a page spans.
+ * Without first or last the page runs from after to before.
+ */
+export function getSlice(args: ConnectionArgs, totalCount: number): ConnectionSlice {
+  const { first, after, last, before } = args;
+  if ((first != null && first < 0) || (last != null && last < 0)) {
+    throw new ValidationError('first and last can\'t be negative');
+  }
+  let start = after ? decodeCursor(after) + 1 : 0;
+  let end = before ? Math.min(decodeCursor(before), totalCount) : totalCount;
+  start = Math.min(start, end);
+  if (first != null) end = Math.min(end, start + first);
+  if (last != null) start = Math.max(start, end - last);
+  return { offset: start, limit: end - start };
+}
+
+/**
+ * @function toConnection
+ * Wraps the items of a slice in edges and describes the page they
+ * make up.
+ */
+export function toConnection<T>(
+  nodes: Array<T>,
+  offset: number,
+  totalCount: number,
+): Connection<T> {
+  const edges = nodes.map((node, idx) => ({ node, cursor: encodeCursor(offset + idx) }));
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: offset + nodes.length < totalCount,
+      hasPreviousPage: offset > 0,
+      startCursor: edges.length > 0 ? edges[0].cursor : null,
+      endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null,
+    },
+    totalCount,
+  };
+}
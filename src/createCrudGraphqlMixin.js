@@ -0,0 +1,175 @@
+/**
+ * @file createCrudGraphqlMixin
+ * @flow
+ *
+ * Services built on moleculer-db share the same actions: `find`,
+ * `count`, `get`, `create`, `update` and `remove`. This builds the
+ * GraphQL schema a type stored by such a service usually exposes, and
+ * the resolvers that call those actions, on top of createGraphqlMixin:
+ *
+ *   type Query {
+ *     publisher(id: ID!): Publisher
+ *     publishers(first, after, last, before, sort, search, filter): PublisherConnection
+ *     publishersByIds(ids: [ID!]!): [Publisher]
+ *   }
+ *
+ *   type Mutation {
+ *     createPublisher(input: CreatePublisherInput!): Publisher
+ *     updatePublisher(input: UpdatePublisherInput!): Publisher
+ *     removePublisher(id: ID!): Publisher
+ *   }
+ *
+ * `publishersByIds` is the batch operation relationships from other
+ * services resolve Publisher through.
+ */
+import { createGraphqlMixin } from './createGraphqlMixin';
+import {
+  connectionArgs,
+  getConnectionTypes,
+  getSlice,
+  pageInfoType,
+  toConnection,
+} from './connections';
+
+type CrudOptions = {
+  typeName: string,
+  // GraphQL types of the entity fields, leaving out the id
+  fields: { [fieldName: string]: string },
+  // moleculer-db service storing the entities, defaults to typeName
+  serviceName?: string,
+  // Entity field holding the id, the `idField` setting of the service
+  idField?: string,
+  // Name of the list field, defaults to typeName in camel case with an s
+  pluralName?: string,
+  // Additional typeDefs and resolvers of the service
+  schema?: string,
+  resolvers?: Object,
+  // Passed through to createGraphqlMixin
+  [option: string]: any,
+};
+
+const lowerFirst = (name: string): string => name.charAt(0).toLowerCase() + name.slice(1);
+
+// moleculer-db rejects lookups of missing entities with a 404
+const nullWhenNotFound = (error: Object) => {
+  if (error.code === 404) return null;
+  throw error;
+};
+
+const printFields = (fields: { [fieldName: string]: string }, optional: boolean): string =>
+  Object.keys(fields)
+    .map(name => `${name}: ${optional ? fields[name].replace(/!$/, '') : fields[name]}`)
+    .join(', ');
+
+/**
+ * @function getCrudSchema
+ * Builds the SDL of the type, its inputs and connection, and the root
+ * fields that expose them.
+ */
+function getCrudSchema(typeName: string, fields: Object, pluralName: string): string {
+  const fieldName = lowerFirst(typeName);
+  return `
+    type ${typeName} {
+      id: ID!,
+      ${printFields(fields, false)}
+    }
+
+    input ${typeName}Filter {
+      ${printFields(fields, true)}
+    }
+
+    input Create${typeName}Input {
+      ${printFields(fields, false)}
+    }
+
+    input Update${typeName}Input {
+      id: ID!,
+      ${printFields(fields, true)}
+    }
+    ${getConnectionTypes(typeName)}
+    ${pageInfoType}
+    type Query {
+      ${fieldName}(id: ID!): ${typeName},
+      ${pluralName}(${connectionArgs}, sort: String, search: String, filter: ${typeName}Filter): ${typeName}Connection,
+      ${pluralName}ByIds(ids: [ID!]!): [${typeName}],
+    }
+
+    type Mutation {
+      create${typeName}(input: Create${typeName}Input!): ${typeName},
+      update${typeName}(input: Update${typeName}Input!): ${typeName},
+      remove${typeName}(id: ID!): ${typeName},
+    }
+  `;
+}
+
+/**
+ * @function getCrudResolvers
+ * Builds the resolvers of the root fields, each calling the matching
+ * action of the service with the moleculer context of the request.
+ */
+function getCrudResolvers(typeName: string, serviceName: string, idField: string, pluralName: string) {
+  const action = (name: string): string => `${serviceName}.${name}`;
+  return {
+    [typeName]: {
+      id: entity => entity[idField],
+    },
+    Query: {
+      [lowerFirst(typeName)]: (parent, { id }, ctx) => ctx.call(action('get'), { id })
+        .catch(nullWhenNotFound),
+      // Pages are cut from the filtered list, so the count comes first
+      [pluralName]: async (parent, args, ctx) => {
+        const { sort, search, filter } = args;
+        const params = { search, query: filter ? { ...filter } : undefined };
+        const totalCount = await ctx.call(action('count'), params);
+        const { offset, limit } = getSlice(args, totalCount);
+        const nodes = limit > 0
+          ? await ctx.call(action('find'), { ...params, sort, offset, limit })
+          : [];
+        return toConnection(nodes, offset, totalCount);
+      },
+      // Entities come back keyed by id, so they follow the order of the ids
+      [`${pluralName}ByIds`]: async (parent, { ids }, ctx) => {
+        const entities = await ctx.call(action('get'), { id: ids, mapping: true });
+        return ids.map(id => entities[id] || null);
+      },
+    },
+    Mutation: {
+      [`create${typeName}`]: (parent, { input }, ctx) => ctx.call(action('create'), input),
+      [`update${typeName}`]: (parent, { input }, ctx) => ctx.call(action('update'), input),
+      // `remove` answers with the number of removed entities
+      [`remove${typeName}`]: async (parent, { id }, ctx) => {
+        const entity = await ctx.call(action('get'), { id });
+        await ctx.call(action('remove'), { id });
+        return entity;
+      },
+    },
+  };
+}
+
+/**
+ * @function createCrudGraphqlMixin
+ * Generates the GraphQL mixin of a moleculer-db service from the
+ * fields of the type it stores.
+ */
+export const createCrudGraphqlMixin = ({
+  typeName,
+  fields,
+  serviceName = typeName,
+  idField = '_id',
+  pluralName = `${lowerFirst(typeName)}s`,
+  schema = '',
+  resolvers = {},
+  ...options
+}: CrudOptions) => {
+  const crudResolvers = getCrudResolvers(typeName, serviceName, idField, pluralName);
+  const mergedResolvers = { ...crudResolvers };
+  Object.keys(resolvers).forEach((type) => {
+    mergedResolvers[type] = { ...crudResolvers[type], ...resolvers[type] };
+  });
+  return createGraphqlMixin({
+    ...options,
+    typeName,
+    schema: `${getCrudSchema(typeName, fields, pluralName)}\n${schema}`,
+    resolvers: mergedResolvers,
+  });
+};
@@ -6,45 +6,130 @@ import {
   makeExecutableSchema,
 } from 'graphql-tools';
 import { graphql as execute } from 'graphql';
+import { getDefinedTypes, hashSchema } from './Gateway/utilities';
+import { serializeError } from './errors';
+import { createTrace, formatTrace, instrumentSchema } from './tracing';
+import { generateActionSchema } from './generateActionSchema';
 
 export const createGraphqlMixin = ({
-  typeName,
+  typeName: primaryTypeName,
+  typeNames: ownedTypeNames,
   schema,
   resolvers,
   relationships,
-  relationDefinitions
-}) => ({
-  settings: {
-    typeName,
-    schema,
-    relationships,
-    relationDefinitions,
-    hasGraphQLSchema: true,
-  },
-  actions: {
-    graphql: {
-      params: {
-        query: { type: 'string' },
-        variables: { type: 'object', optional: true },
-      },
-      handler(ctx) {
-        return execute(this.schema, ctx.params.query, this.resolvers, ctx, ctx.params.variables);
-      },
-    },
-  },
-  created() {
-    this.resolvers = resolvers;
-    this.schema = makeExecutableSchema({ typeDefs: [schema], resolvers });
-  },
-  started() {
-    this.broker.broadcast('graphqlService.connected', {
+  relationDefinitions,
+  subscriptions,
+  subscriptionDefinitions,
+  costHints,
+  cacheControl,
+  nodeQuery,
+  schemaVersion,
+}) => {
+  // Published alongside the schema so the gateway can tell when it changes
+  const schemaHash = schema ? hashSchema(schema) : undefined;
+  // Without a typeName or typeNames the service owns every type its schema defines
+  const typeNames = ownedTypeNames
+    || (primaryTypeName ? [primaryTypeName] : getDefinedTypes(schema));
+  // The first type identifies the service to the gateway
+  const typeName = primaryTypeName || typeNames[0];
+
+  return {
+    settings: {
       typeName,
+      typeNames,
       schema,
+      schemaHash,
       relationships,
       relationDefinitions,
-    });
-  },
-  stopped() {
-    this.broker.broadcast('graphqlService.disconnected', { typeName });
-  },
-});
+      subscriptions,
+      subscriptionDefinitions,
+      costHints,
+      cacheControl,
+      nodeQuery,
+      schemaVersion,
+      hasGraphQLSchema: true,
+    },
+    actions: {
+      graphql: {
+        params: {
+          query: { type: 'string' },
+          variables: { type: 'object', optional: true },
+          operationName: { type: 'string', optional: true },
+          extensions: { type: 'object', optional: true },
+        },
+        // Resolvers receive the moleculer context, including the meta forwarded by the gateway
+        handler(ctx) {
+          const { extensions } = ctx.params;
+          // Resolver timings are reported to gateways that ask for them
+          const trace = extensions && extensions.tracing ? createTrace() : null;
+          if (trace) this.graphqlTraces.set(ctx, trace);
+          return execute(
+            this.graphqlSchema,
+            ctx.params.query,
+            this.resolvers,
+            ctx,
+            ctx.params.variables,
+            ctx.params.operationName,
+          ).then((result) => {
+            const response = { ...result };
+            if (result.errors) {
+              // Errors carry their code and origin over the transporter
+              const origin = { service: this.name, nodeID: this.broker.nodeID };
+              response.errors = result.errors.map(error => serializeError(error, origin));
+            }
+            if (trace) {
+              this.graphqlTraces.delete(ctx);
+              response.extensions = { ...result.extensions, tracing: formatTrace(trace) };
+            }
+            return response;
+          });
+        },
+      },
+    },
+    created() {
+      // Root fields declared by the actions of the service are added to its schema
+      const actionSchema = generateActionSchema(schema, this.schema.actions || {}, (name) => {
+        const action = this.schema.actions[name];
+        let actionName = action.name || name;
+        if (this.settings.$noServiceNamePrefix !== true) actionName = `${this.name}.${actionName}`;
+        if (this.version && this.settings.$noVersionPrefix !== true) {
+          actionName = `${typeof this.version === 'number' ? 'v' : ''}${this.version}.${actionName}`;
+        }
+        return actionName;
+      });
+      this.resolvers = { ...resolvers };
+      let typeDefs = schema;
+      if (actionSchema) {
+        typeDefs = actionSchema.schema;
+        // Services that opted out of publishing their SDL keep doing so
+        if (this.settings.schema) {
+          this.settings.schema = typeDefs;
+          this.settings.schemaHash = hashSchema(typeDefs);
+        }
+        Object.keys(actionSchema.resolvers).forEach((rootType) => {
+          this.resolvers[rootType] = { ...this.resolvers[rootType], ...actionSchema.resolvers[rootType] };
+        });
+      }
+      this.graphqlTraces = new WeakMap();
+      // Not `this.schema`, which holds the service schema moleculer runs lifecycle handlers from
+      this.graphqlSchema = instrumentSchema(
+        makeExecutableSchema({ typeDefs: [typeDefs], resolvers: this.resolvers }),
+        ctx => this.graphqlTraces.get(ctx),
+      );
+    },
+    started() {
+      this.broker.broadcast('graphqlService.connected', {
+        serviceName: this.name,
+        typeName,
+        typeNames,
+        schema: this.settings.schema,
+        schemaHash: this.settings.schemaHash,
+        relationships,
+        relationDefinitions,
+      });
+    },
+    stopped() {
+      this.broker.broadcast('graphqlService.disconnected', { typeName });
+    },
+  };
+};
@@ -0,0 +1,182 @@
+/**
+ * @file Generate a moleculer-web route serving the gateway schema
+ * @flow
+ *
+ * The route forwards GET and POST requests to the gateway's graphql
+ * action, so queries run with the request's moleculer context and any
+ * user resolved by the authenticate hook ends up in ctx.meta.
+ */
+import { getOperationAST, parse } from 'graphql';
+import type { Context } from 'moleculer';
+
+type RouteOptions = {
+  path?: string,
+  action?: string,
+  graphiql?: boolean,
+  authenticate?: (ctx: Context, route: Object, req: Object, res: Object) => any,
+  onBeforeCall?: (ctx: Context, route: Object, req: Object, res: Object) => any,
+  use?: Array<Function>,
+  bodyParsers?: Object,
+};
+
+type HttpError = Error & { status?: number, type?: string };
+
+const badRequest = (message: string): HttpError => {
+  const err: HttpError = new Error(message);
+  err.status = 400;
+  err.type = 'BAD_REQUEST';
+  return err;
+};
+
+const methodNotAllowed = (message: string): HttpError => {
+  const err: HttpError = new Error(message);
+  err.status = 405;
+  err.type = 'METHOD_NOT_ALLOWED';
+  return err;
+};
+
+/**
+ * @function getOperationType
+ * Type of the operation a GET request would run, null when the
+ * document doesn't parse or doesn't pick one, which the gateway reports.
+ */
+const getOperationType = (query: string, operationName: ?string): ?string => {
+  let document;
+  try {
+    document = parse(query);
+  } catch (err) {
+    return null;
+  }
+  const operation = getOperationAST(document, operationName);
+  return operation ? operation.operation : null;
+};
+
+/**
+ * @function renderGraphiQL
+ * Renders a GraphiQL page that sends its queries to the route.
+ */
+export function renderGraphiQL(endpoint: string): string {
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <title>GraphiQL</title>
+    <link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/graphiql@0.11.11/graphiql.css" />
+    <script src="https://cdn.jsdelivr.net/npm/whatwg-fetch@2.0.3/fetch.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/react@16.2.0/umd/react.production.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/react-dom@16.2.0/umd/react-dom.production.min.js"></script>
+    <script src="https://cdn.jsdelivr.net/npm/graphiql@0.11.11/graphiql.min.js"></script>
+    <style>body { height: 100vh; margin: 0; overflow: hidden; }</style>
+  </head>
+  <body>
+    <script>
+      function fetcher(params) {
+        return fetch(${JSON.stringify(endpoint)}, {
+          method: 'post',
+          headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+          body: JSON.stringify(params),
+          credentials: 'include',
+        }).then(function (response) { return response.json(); });
+      }
+      ReactDOM.render(React.createElement(GraphiQL, { fetcher: fetcher }), document.body);
+    </script>
+  </body>
+</html>`;
+}
+
+/**
+ * @function parseJSONParam
+ * Variables and extensions arrive as JSON strings in query strings and some bodies.
+ */
+const parseJSONParam = (value: any, name: string): ?Object => {
+  if (typeof value !== 'string') return value;
+  if (value === '') return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw badRequest(`${name} are invalid JSON`);
+  }
+};
+
+const jsonParams = { variables: 'Variables', extensions: 'Extensions' };
+
+/**
+ * @function createRequestMiddleware
+ * Normalizes GraphQL requests into the params of the graphql action and
+ * serves GraphiQL to browsers visiting the route without a query.
+ */
+const createRequestMiddleware = (endpoint: string, graphiql: boolean) =>
+  (req: Object, res: Object, next: (err?: HttpError) => void): void => {
+    if (
+      graphiql
+      && req.method === 'GET'
+      && !(req.query && req.query.query)
+      && (req.headers.accept || '').includes('text/html')
+    ) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(renderGraphiQL(endpoint));
+      return;
+    }
+    try {
+      if (typeof req.body === 'string') {
+        // application/graphql bodies hold the bare document
+        req.body = { query: req.body };
+      }
+      Object.keys(jsonParams).forEach((param) => {
+        if (req.body && req.body[param] !== undefined) {
+          req.body[param] = parseJSONParam(req.body[param], jsonParams[param]);
+        }
+        if (req.query && req.query[param] !== undefined) {
+          req.query[param] = parseJSONParam(req.query[param], jsonParams[param]);
+        }
+      });
+      // Browsers send GET requests across sites, so they may only read
+      const query = req.method === 'GET' && req.query ? req.query.query : null;
+      const operationType = typeof query === 'string' ? getOperationType(query, req.query.operationName) : null;
+      if (operationType && operationType !== 'query') {
+        throw methodNotAllowed(`Can only perform a ${operationType} operation from a POST request`);
+      }
+    } catch (err) {
+      next(err);
+      return;
+    }
+    next();
+  };
+
+/**
+ * @function createGraphqlRoute
+ * Builds a moleculer-web route that exposes the gateway at `path`.
+ * Other route options (cors, authorization, callOptions...) are passed through.
+ */
+export function createGraphqlRoute({
+  path = '/graphql',
+  action = 'gateway.graphql',
+  graphiql = process.env.NODE_ENV !== 'production',
+  authenticate,
+  onBeforeCall,
+  use = [],
+  bodyParsers = {},
+  ...routeOptions
+}: RouteOptions = {}): Object {
+  return {
+    ...routeOptions,
+    path,
+    bodyParsers: {
+      json: true,
+      text: { type: 'application/graphql' },
+      ...bodyParsers,
+    },
+    use: use.concat(createRequestMiddleware(path, graphiql)),
+    aliases: {
+      'GET /': action,
+      'POST /': action,
+    },
+    async onBeforeCall(ctx, route, req, res) {
+      if (authenticate) {
+        const user = await authenticate.call(this, ctx, route, req, res);
+        if (user) ctx.meta.user = user;
+      }
+      if (onBeforeCall) await onBeforeCall.call(this, ctx, route, req, res);
+    },
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * @file errors
+ * @flow
+ *
+ * Typed errors for resolvers. Their `extensions` travel with the
+ * GraphQL error through the gateway, so clients can tell failures
+ * apart by `extensions.code` instead of by message.
+ */
+import type { GraphQLError } from 'graphql';
+
+type ErrorExtensions = {
+  code: string,
+  [key: string]: any,
+};
+
+type ErrorOrigin = {
+  service: string,
+  nodeID: string,
+};
+
+// Code of errors that weren't thrown on purpose
+export const INTERNAL_ERROR_CODE = 'INTERNAL_SERVER_ERROR';
+
+export class GraphQLServiceError extends Error {
+  extensions: ErrorExtensions;
+
+  constructor(message: string, code: string = INTERNAL_ERROR_CODE, extensions?: Object = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.extensions = { ...extensions, code };
+  }
+}
+
+export class NotFoundError extends GraphQLServiceError {
+  constructor(message: string = 'Not found', extensions?: Object) {
+    super(message, 'NOT_FOUND', extensions);
+  }
+}
+
+export class ForbiddenError extends GraphQLServiceError {
+  constructor(message: string = 'Forbidden', extensions?: Object) {
+    super(message, 'FORBIDDEN', extensions);
+  }
+}
+
+export class ValidationError extends GraphQLServiceError {
+  constructor(message: string = 'Validation failed', extensions?: Object) {
+    super(message, 'VALIDATION_FAILED', extensions);
+  }
+}
+
+// Rejects GraphQLGateway.start() when the expected types aren't ready in time
+export class GatewayTimeoutError extends GraphQLServiceError {
+  // Expected types no service has provided yet
+  undiscoveredTypes: Array<string>;
+  // Discovered types whose schema hasn't been built yet
+  pendingTypes: Array<string>;
+
+  constructor(undiscoveredTypes: Array<string>, pendingTypes: Array<string>) {
+    const missing = undiscoveredTypes.concat(pendingTypes);
+    super(
+      missing.length > 0
+        ? `Timed out waiting for the ${missing.join(', ')} types`
+        : 'Timed out waiting for GraphQL services to be discovered',
+      'GATEWAY_TIMEOUT',
+      { undiscoveredTypes, pendingTypes },
+    );
+    this.undiscoveredTypes = undiscoveredTypes;
+    this.pendingTypes = pendingTypes;
+  }
+}
+
+// Give an error a code unless it has one already
+export function addErrorCode<T: Object>(error: T, code: string): T {
+  if (!error.extensions || !error.extensions.code) {
+    error.extensions = { ...error.extensions, code };
+  }
+  return error;
+}
+
+/**
+ * @function serializeError
+ * Turns an execution error into the plain object sent back by a
+ * service. Errors without a code are marked as internal, and every
+ * error records the service and node it came from in `extensions.origin`.
+ */
+export function serializeError(error: GraphQLError, origin: ErrorOrigin): Object {
+  const originalError = error.originalError || {};
+  const extensions = error.extensions || originalError.extensions || {};
+  return {
+    message: error.message,
+    locations: error.locations,
+    path: error.path,
+    extensions: {
+      ...extensions,
+      code: extensions.code || INTERNAL_ERROR_CODE,
+      origin,
+    },
+  };
+}
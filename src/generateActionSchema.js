@@ -0,0 +1,174 @@
+/**
+ * @file generateActionSchema
+ * @flow
+ *
+ * Actions can describe the root field they back with a `graphql` block:
+ *
+ *   get: {
+ *     params: { id: { type: 'number', integer: true } },
+ *     graphql: { query: 'author(id: Int!): Author' },
+ *     handler(ctx) { ... },
+ *   }
+ *
+ * The fields are added to the Query and Mutation types of the service
+ * schema, and resolved by calling the action with the field arguments
+ * as params. Fields declared without arguments get them from the
+ * action's param validators.
+ */
+import { parse, print } from 'graphql';
+import type { DocumentNode } from 'graphql';
+
+type ActionGraphQLDefinition = {
+  query?: string,
+  mutation?: string,
+};
+
+type ActionDefinition = {
+  params?: Object,
+  graphql?: ActionGraphQLDefinition,
+};
+
+type ActionSchema = {
+  schema: string,
+  resolvers: {
+    Query?: { [fieldName: string]: Function },
+    Mutation?: { [fieldName: string]: Function },
+  },
+};
+
+const upperFirst = (name: string): string => name.charAt(0).toUpperCase() + name.slice(1);
+
+const scalarTypes = {
+  string: 'String',
+  email: 'String',
+  url: 'String',
+  date: 'String',
+  boolean: 'Boolean',
+};
+
+/**
+ * @function getParamType
+ * Derives the GraphQL input type of a fastest-validator rule. Object
+ * rules become input types named after the field and param.
+ */
+function getParamType(
+  rule: string | Object,
+  inputName: string,
+  inputTypes: Array<string>,
+  describe: string,
+): string {
+  const ruleObject: Object = typeof rule === 'string' ? { type: rule } : rule;
+  const { type, optional, integer, items, props } = ruleObject;
+  let graphqlType;
+  if (scalarTypes[type]) {
+    graphqlType = scalarTypes[type];
+  } else if (type === 'number') {
+    graphqlType = integer ? 'Int' : 'Float';
+  } else if (type === 'array' && items) {
+    graphqlType = `[${getParamType(items, inputName, inputTypes, describe)}]`;
+  } else if (type === 'object' && props) {
+    const fields = Object.keys(props)
+      .map(name => `${name}: ${getParamType(props[name], `${inputName}${upperFirst(name)}`, inputTypes, describe)}`);
+    inputTypes.push(`input ${inputName}Input { ${fields.join(', ')} }`);
+    graphqlType = `${inputName}Input`;
+  } else {
+    throw new Error(`Can't derive a GraphQL type for ${describe}`);
+  }
+  return optional ? graphqlType : `${graphqlType}!`;
+}
+
+/**
+ * @function getFieldDefinition
+ * Completes the field an action declares with arguments derived from
+ * its params when it doesn't list any.
+ */
+function getFieldDefinition(
+  definition: string,
+  action: ActionDefinition,
+  actionName: string,
+  inputTypes: Array<string>,
+): { fieldName: string, field: string } {
+  const [typeDefinition] = parse(`type Root { ${definition} }`).definitions;
+  if (!typeDefinition || typeDefinition.kind !== 'ObjectTypeDefinition' || typeDefinition.fields.length !== 1) {
+    throw new Error(`The ${actionName} action must declare a single field`);
+  }
+  const [field] = typeDefinition.fields;
+  const fieldName = field.name.value;
+  const params = Object.keys(action.params || {})
+    .filter(name => !name.startsWith('$$'))
+    .filter(name => action.params && action.params[name].type !== 'forbidden');
+  if ((field.arguments || []).length > 0 || params.length === 0) return { fieldName, field: definition };
+  const args = params.map((name) => {
+    const rule = (action.params || {})[name];
+    const describe = `the ${name} param of the ${actionName} action`;
+    // An `input` param gets the conventional `<Field>Input` type
+    const inputName = name === 'input' ? upperFirst(fieldName) : `${upperFirst(fieldName)}${upperFirst(name)}`;
+    return `${name}: ${getParamType(rule, inputName, inputTypes, describe)}`;
+  });
+  return { fieldName, field: `${fieldName}(${args.join(', ')}): ${print(field.type)}` };
+}
+
+// Adds fields and types to a document, merging into the types it already defines
+function mergeDefinitions(document: DocumentNode, generated: DocumentNode): DocumentNode {
+  const definitions: Array<Object> = document.definitions.slice();
+  generated.definitions.forEach((definition: Object) => {
+    const idx = definitions.findIndex(existing => existing.kind === definition.kind
+      && existing.name && existing.name.value === definition.name.value);
+    if (idx === -1 || definition.kind !== 'ObjectTypeDefinition') {
+      definitions.push(definition);
+      return;
+    }
+    const existing = definitions[idx];
+    const fieldNames = existing.fields.map(field => field.name.value);
+    definition.fields.forEach((field) => {
+      if (fieldNames.includes(field.name.value)) {
+        throw new Error(`${definition.name.value}.${field.name.value} is defined both in the schema and by an action`);
+      }
+    });
+    definitions[idx] = { ...existing, fields: existing.fields.concat(definition.fields) };
+  });
+  return { ...document, definitions };
+}
+
+/**
+ * @function generateActionSchema
+ * Adds the root fields declared by the actions of a service to its
+ * schema, and builds the resolvers that call those actions. Returns
+ * null when no action declares a field.
+ */
+export function generateActionSchema(
+  typeDefs: ?string,
+  actions: { [actionName: string]: ActionDefinition | Function },
+  getActionName: (actionName: string) => string,
+): ?ActionSchema {
+  const rootFields = { Query: [], Mutation: [] };
+  const resolvers = {};
+  const inputTypes = [];
+  Object.keys(actions).forEach((name) => {
+    const action = actions[name];
+    if (!action || typeof action === 'function' || !action.graphql) return;
+    const { query, mutation } = action.graphql;
+    const actionName = getActionName(name);
+    [['Query', query], ['Mutation', mutation]].forEach(([rootType, definition]) => {
+      if (!definition) return;
+      const { fieldName, field } = getFieldDefinition(definition, action, actionName, inputTypes);
+      rootFields[rootType].push(field);
+      resolvers[rootType] = {
+        ...resolvers[rootType],
+        // The action is a child call of the request, so meta and the request ID follow it
+        [fieldName]: (parent, args, ctx) => ctx.call(actionName, args),
+      };
+    });
+  });
+  const rootTypes = Object.keys(rootFields)
+    .filter(rootType => rootFields[rootType].length > 0)
+    .map(rootType => `type ${rootType} { ${rootFields[rootType].join(', ')} }`);
+  if (rootTypes.length === 0) return null;
+
+  const document = typeDefs ? parse(typeDefs) : { kind: 'Document', definitions: [] };
+  const generated = parse(inputTypes.concat(rootTypes).join('\n'));
+  return {
+    schema: print(mergeDefinitions(document, generated)),
+    resolvers,
+  };
+}
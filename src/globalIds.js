@@ -0,0 +1,26 @@
+/**
+ * @file globalIds
+ * @flow
+ *
+ * Global IDs identify an object across every service of the gateway by
+ * encoding the name of its type with its ID in the owning service. They
+ * are opaque to clients, services can decode the ones they receive.
+ */
+import { ValidationError } from './errors';
+
+export type ResolvedGlobalId = {
+  typeName: string,
+  id: string,
+};
+
+export const toGlobalId = (typeName: string, id: string | number): string =>
+  Buffer.from(`${typeName}:${id}`).toString('base64');
+
+export function fromGlobalId(globalId: string): ResolvedGlobalId {
+  const decoded = Buffer.from(globalId, 'base64').toString();
+  const separator = decoded.indexOf(':');
+  if (separator < 1 || separator === decoded.length - 1) {
+    throw new ValidationError(`Invalid global ID ${globalId}`);
+  }
+  return { typeName: decoded.slice(0, separator), id: decoded.slice(separator + 1) };
+}
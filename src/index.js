@@ -1,2 +1,12 @@
 export { GraphQLGateway } from './Gateway/GraphQLGateway';
 export { createGraphqlMixin } from './createGraphqlMixin';
+export { createCrudGraphqlMixin } from './createCrudGraphqlMixin';
+export { createGraphqlRoute } from './createGraphqlRoute';
+export { toGlobalId, fromGlobalId } from './globalIds';
+export {
+  GraphQLServiceError,
+  NotFoundError,
+  ForbiddenError,
+  ValidationError,
+  GatewayTimeoutError,
+} from './errors';
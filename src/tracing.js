@@ -0,0 +1,148 @@
+/**
+ * @file tracing
+ * @flow
+ *
+ * Timings of resolvers and service calls, returned in the format of
+ * Apollo tracing (https://github.com/apollographql/apollo-tracing).
+ */
+import {
+  defaultFieldResolver,
+  GraphQLObjectType,
+  responsePathAsArray,
+} from 'graphql';
+import type { GraphQLSchema } from 'graphql';
+
+export type ResolverTiming = {
+  path: Array<string | number>,
+  parentType: string,
+  fieldName: string,
+  returnType: string,
+  startOffset: number,
+  duration: number,
+};
+
+export type Span = {
+  // 'call' for calls to a service's graphql action, 'delegation' for relationship fields
+  kind: 'call' | 'delegation',
+  service: ?string,
+  operation: string,
+  nodeID?: ?string,
+  path?: Array<string | number>,
+  startOffset: number,
+  duration: number,
+  error?: string,
+  // Resolver timings reported by the service
+  resolvers?: Array<ResolverTiming>,
+};
+
+export type Trace = {
+  startTime: Date,
+  start: [number, number],
+  resolvers: Array<ResolverTiming>,
+  spans: Array<Span>,
+};
+
+export type TracingResult = {
+  version: 1,
+  startTime: string,
+  endTime: string,
+  duration: number,
+  execution: {
+    resolvers: Array<ResolverTiming>,
+  },
+  spans: Array<Span>,
+};
+
+export const createTrace = (): Trace => ({
+  startTime: new Date(),
+  start: process.hrtime(),
+  resolvers: [],
+  spans: [],
+});
+
+// Nanoseconds elapsed since the trace started
+export const getOffset = (trace: Trace): number => {
+  const [seconds, nanoseconds] = process.hrtime(trace.start);
+  return (seconds * 1e9) + nanoseconds;
+};
+
+/**
+ * @function measure
+ * Runs fn and calls done with its start offset and duration once the
+ * value it returns, or the promise it returns, settles.
+ */
+export function measure(
+  trace: Trace,
+  fn: () => any,
+  done: (startOffset: number, duration: number, error: ?Error) => void,
+): any {
+  const startOffset = getOffset(trace);
+  const finish = error => done(startOffset, getOffset(trace) - startOffset, error);
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    finish(err);
+    throw err;
+  }
+  if (result && typeof result.then === 'function') {
+    return result.then((value) => {
+      finish(null);
+      return value;
+    }, (err) => {
+      finish(err);
+      throw err;
+    });
+  }
+  finish(null);
+  return result;
+}
+
+/**
+ * @function instrumentSchema
+ * Wraps the resolvers of every object type to record their timings in
+ * the trace getTrace finds for the GraphQL context, if there is one.
+ */
+export function instrumentSchema(
+  schema: GraphQLSchema,
+  getTrace: (context: any) => ?Trace,
+): GraphQLSchema {
+  const typeMap = schema.getTypeMap();
+  Object.keys(typeMap)
+    .filter(typeName => !typeName.startsWith('__'))
+    .forEach((typeName) => {
+      const type = typeMap[typeName];
+      if (!(type instanceof GraphQLObjectType)) return;
+      const fields = type.getFields();
+      Object.keys(fields).forEach((fieldName) => {
+        const field = fields[fieldName];
+        const resolve = field.resolve || defaultFieldResolver;
+        field.resolve = (parent, args, context, info) => {
+          const trace = getTrace(context);
+          if (!trace) return resolve(parent, args, context, info);
+          return measure(trace, () => resolve(parent, args, context, info), (startOffset, duration) => {
+            trace.resolvers.push({
+              path: responsePathAsArray(info.path),
+              parentType: info.parentType.name,
+              fieldName: info.fieldName,
+              returnType: String(info.returnType),
+              startOffset,
+              duration,
+            });
+          });
+        };
+      });
+    });
+  return schema;
+}
+
+export const formatTrace = (trace: Trace): TracingResult => ({
+  version: 1,
+  startTime: trace.startTime.toISOString(),
+  endTime: new Date().toISOString(),
+  duration: getOffset(trace),
+  execution: {
+    resolvers: trace.resolvers,
+  },
+  spans: trace.spans,
+});
@@ -0,0 +1,105 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+
+jest.setTimeout(10000);
+
+const publishers = [
+  { id: 1, name: 'Doubleday', city: 'New York' },
+  { id: 2, name: 'Arkham House', city: 'Sauk City' },
+];
+
+const publisherSvc = {
+  name: 'publishers',
+  mixins: [createGraphqlMixin({
+    typeName: 'Publisher',
+    schema: `
+      type Publisher {
+        id: Int,
+        name: String,
+        city: String,
+      }
+    `,
+  })],
+  actions: {
+    get: {
+      params: { id: { type: 'number', integer: true } },
+      graphql: { query: 'publisher(id: Int!): Publisher' },
+      handler: ctx => publishers.find(publisher => publisher.id === ctx.params.id),
+    },
+    find: {
+      params: {
+        city: { type: 'string', optional: true },
+        ids: { type: 'array', items: { type: 'number', integer: true }, optional: true },
+      },
+      graphql: { query: 'publishers: [Publisher]' },
+      handler: ({ params }) => publishers.filter(publisher => (!params.city || publisher.city === params.city)
+        && (!params.ids || params.ids.includes(publisher.id))),
+    },
+    rename: {
+      params: {
+        input: {
+          type: 'object',
+          props: {
+            id: { type: 'number', integer: true },
+            name: 'string',
+          },
+        },
+      },
+      graphql: { mutation: 'renamePublisher: Publisher' },
+      handler(ctx) {
+        const publisher = publishers.find(({ id }) => id === ctx.params.input.id);
+        publisher.name = ctx.params.input.name;
+        return publisher;
+      },
+    },
+    whoami: {
+      graphql: { query: 'whoami: String' },
+      handler: ctx => ctx.meta.user,
+    },
+  },
+};
+
+describe('Action Schema', () => {
+  let broker;
+  let gateway;
+
+  beforeAll(async () => {
+    broker = new ServiceBroker({ nodeID: 'gatewayActionSchema' });
+    broker.createService(publisherSvc);
+    await broker.start();
+    gateway = new GraphQLGateway({ broker });
+    return gateway.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should generate root fields from the graphql blocks of actions', () => {
+    const { schema } = broker.getLocalService('publishers').settings;
+    expect(schema).toMatch('publisher(id: Int!): Publisher');
+    expect(schema).toMatch('publishers(city: String, ids: [Int!]): [Publisher]');
+    expect(schema).toMatch('renamePublisher(input: RenamePublisherInput!): Publisher');
+    expect(schema).toMatch('input RenamePublisherInput {\n  id: Int!\n  name: String!\n}');
+  });
+
+  test('Should resolve the fields by calling the actions with their arguments', async () => {
+    const { data } = await gateway.execute({
+      query: `{
+        publisher(id: 2) { name }
+        publishers(city: "New York") { id }
+      }`,
+    });
+    expect(data).toEqual({
+      publisher: { name: 'Arkham House' },
+      publishers: [{ id: 1 }],
+    });
+  });
+
+  test('Should call the actions as children of the request', async () => {
+    const { data } = await gateway.execute({
+      query: 'mutation { renamePublisher(input: { id: 1, name: "Anchor" }) { name } }',
+    });
+    expect(data.renamePublisher).toEqual({ name: 'Anchor' });
+    const result = await broker.call('gateway.graphql', { query: '{ whoami }' }, { meta: { user: 'brad' } });
+    expect(result.data.whoami).toBe('brad');
+  });
+});
@@ -0,0 +1,151 @@
+import { ServiceBroker } from 'moleculer';
+import { printSchema } from 'graphql';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const resolveAmount = jest.fn(salary => salary.amount);
+
+const payrollSvc = {
+  name: 'Payroll',
+  mixins: [createGraphqlMixin({
+    typeName: 'Salary',
+    schema: `
+      type Salary @hasScope(scope: "salaries:read") {
+        amount: Int,
+        amountIn(currency: String): Int,
+      }
+
+      type Query {
+        salaryOf(authorId: Int!): Salary,
+        currencies: [String] @auth,
+      }
+
+      type Mutation {
+        raiseSalary(authorId: Int!): Salary @auth(requires: "admin") @hasScope(scope: "salaries:write"),
+      }
+    `,
+    relationships: `
+      extend type Author {
+        salary: Salary
+          @auth(requires: ["admin", "accountant"])
+          @relation(query: "salaryOf", args: { authorId: "parent.id" })
+      }
+    `,
+    resolvers: {
+      Query: {
+        salaryOf: () => ({ amount: 100 }),
+        currencies: () => ['USD'],
+      },
+      Mutation: {
+        raiseSalary: () => ({ amount: 110 }),
+      },
+      Salary: {
+        amount: resolveAmount,
+      },
+    },
+  })],
+};
+
+const admin = { name: 'brad', roles: ['admin'], scopes: 'salaries:read salaries:write' };
+const accountant = { name: 'ann', role: 'accountant', scopes: ['salaries:read'] };
+const reader = { name: 'rob', roles: ['reader'] };
+
+describe('Auth Directives', () => {
+  let broker;
+  let gateway;
+  let callSpy;
+
+  const countCalls = () => callSpy.mock.calls.filter(([name]) => name === 'Payroll.graphql').length;
+  const query = (source, user) => broker.call('gateway.graphql', { query: source }, { meta: { user } });
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayAuth',
+    });
+
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    broker.createService(payrollSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+      expectedTypes: ['Salary'],
+    });
+
+    callSpy = jest.spyOn(broker, 'call');
+
+    return gateway.start();
+  });
+
+  beforeEach(() => {
+    callSpy.mockClear();
+    resolveAmount.mockClear();
+  });
+
+  afterAll(() => {
+    callSpy.mockRestore();
+    return broker.stop();
+  });
+
+  test('Should keep the directive definitions in the stitched schema', () => {
+    const sdl = printSchema(gateway.schema);
+    expect(sdl).toMatch('directive @auth(requires: [String!]) on FIELD_DEFINITION | OBJECT');
+    expect(sdl).toMatch('directive @hasScope(scope: String!) on FIELD_DEFINITION | OBJECT');
+  });
+
+  test('Should resolve protected fields for authorized users', async () => {
+    const { data, errors } = await query('{ currencies, author(id: 1) { salary { amount } } }', accountant);
+    expect(errors).toBeUndefined();
+    expect(data).toEqual({ currencies: ['USD'], author: { salary: { amount: 100 } } });
+  });
+
+  test('Should require a user for @auth without roles', async () => {
+    const { data, errors } = await query('{ currencies }');
+    expect(data.currencies).toBeNull();
+    expect(errors[0].extensions).toEqual({ code: 'FORBIDDEN' });
+    expect(errors[0].message).toBe('Not authorized to access Query.currencies');
+    expect(countCalls()).toBe(0);
+  });
+
+  test('Should protect relationship fields without calling the owning service', async () => {
+    const { data, errors } = await query('{ author(id: 1) { name, salary { amount } } }', reader);
+    expect(data.author.name).toBeDefined();
+    expect(data.author.salary).toBeNull();
+    expect(errors[0].path).toEqual(['author', 'salary']);
+    expect(errors[0].extensions).toEqual({ code: 'FORBIDDEN' });
+    expect(countCalls()).toBe(0);
+  });
+
+  test('Should apply type directives to every field of the type', async () => {
+    const { data, errors } = await query('{ salaryOf(authorId: 1) { amount } }', reader);
+    expect(data.salaryOf).toEqual({ amount: null });
+    expect(errors[0].path).toEqual(['salaryOf', 'amount']);
+    expect(countCalls()).toBe(1);
+    expect(resolveAmount).not.toHaveBeenCalled();
+  });
+
+  test('Should drop the variables of removed fields from delegated documents', async () => {
+    const { data, errors } = await broker.call('gateway.graphql', {
+      query: 'query salary($currency: String) { salaryOf(authorId: 1) { amountIn(currency: $currency) } }',
+      variables: { currency: 'EUR' },
+    }, { meta: { user: reader } });
+    expect(data.salaryOf).toEqual({ amountIn: null });
+    expect(errors).toHaveLength(1);
+    expect(errors[0].extensions).toEqual({ code: 'FORBIDDEN' });
+  });
+
+  test('Should require every directive on a field', async () => {
+    const forbidden = await query('mutation { raiseSalary(authorId: 1) { amount } }', accountant);
+    expect(forbidden.data.raiseSalary).toBeNull();
+    expect(countCalls()).toBe(0);
+    const allowed = await query('mutation { raiseSalary(authorId: 1) { amount } }', admin);
+    expect(allowed.data.raiseSalary).toEqual({ amount: 110 });
+  });
+});
@@ -0,0 +1,94 @@
+import { ServiceBroker } from 'moleculer';
+import { graphql as execute } from 'graphql';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+
+jest.setTimeout(10000);
+
+const viewerSvc = {
+  name: 'Viewer',
+  mixins: [createGraphqlMixin({
+    typeName: 'Viewer',
+    schema: `
+      type Viewer {
+        user: String,
+        tenant: String,
+        requestID: String,
+      }
+
+      type Query {
+        viewer: Viewer,
+      }
+    `,
+    resolvers: {
+      Query: {
+        viewer: (_, args, ctx) => ({
+          user: ctx.meta.user,
+          tenant: ctx.meta.tenant,
+          requestID: ctx.requestID,
+        }),
+      },
+    },
+  })],
+};
+
+describe('Context Propagation', () => {
+  let broker;
+  let gateway;
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayContext',
+    });
+
+    broker.createService(viewerSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+    });
+
+    return gateway.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should forward the caller meta to the owning service', async () => {
+    const { data } = await broker.call('gateway.graphql', {
+      query: '{ viewer { user, tenant } }',
+    }, {
+      meta: { user: 'brad', tenant: 'concierge' },
+    });
+
+    expect(data).toEqual({ viewer: { user: 'brad', tenant: 'concierge' } });
+  });
+
+  test('Should make remote calls as children of the gateway request', async () => {
+    const { data } = await broker.call('gateway.graphql', {
+      query: '{ viewer { requestID } }',
+    }, {
+      requestID: 'request-1',
+    });
+
+    expect(data).toEqual({ viewer: { requestID: 'request-1' } });
+  });
+
+  test('Should forward meta from a plain context object when executing the schema', async () => {
+    const { data } = await execute(gateway.schema, '{ viewer { user } }', null, {
+      meta: { user: 'nathan' },
+    });
+
+    expect(data).toEqual({ viewer: { user: 'nathan' } });
+  });
+
+  test('Should run the requested operation', async () => {
+    const { data } = await broker.call('gateway.graphql', {
+      query: 'query First { viewer { user } } query Second { viewer { tenant } }',
+      operationName: 'Second',
+    }, {
+      meta: { tenant: 'concierge' },
+    });
+
+    expect(data).toEqual({ viewer: { tenant: 'concierge' } });
+  });
+});
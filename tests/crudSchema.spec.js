@@ -0,0 +1,191 @@
+import { ServiceBroker } from 'moleculer';
+import DbService from 'moleculer-db';
+import { GraphQLGateway, createGraphqlMixin, createCrudGraphqlMixin } from '..';
+
+jest.setTimeout(10000);
+
+const publisherSvc = {
+  name: 'Publisher',
+  mixins: [DbService, createCrudGraphqlMixin({
+    typeName: 'Publisher',
+    fields: {
+      name: 'String!',
+      city: 'String',
+    },
+  })],
+  adapter: new DbService.MemoryAdapter(),
+};
+
+const magazineSvc = {
+  name: 'Magazine',
+  mixins: [createGraphqlMixin({
+    typeName: 'Magazine',
+    schema: `
+      type Magazine {
+        title: String,
+        publisherId: ID,
+      }
+
+      type Query {
+        magazines: [Magazine],
+      }
+    `,
+    resolvers: {
+      Query: {
+        magazines: (parent, args, ctx) => ctx.meta.magazines,
+      },
+    },
+    relationships: `
+      extend type Magazine {
+        publisher: Publisher,
+      }
+    `,
+    relationDefinitions: {
+      publisher: {
+        type: 'query',
+        operationName: 'publisher',
+        args: { id: 'parent.publisherId' },
+        batch: {
+          operationName: 'publishersByIds',
+          argName: 'ids',
+          parentKey: 'parent.publisherId',
+          key: 'id',
+        },
+      },
+    },
+  })],
+};
+
+const names = ({ edges }) => edges.map(({ node }) => node.name);
+
+describe('CRUD Schema', () => {
+  let broker;
+  let gateway;
+  let publishers;
+
+  beforeAll(async () => {
+    broker = new ServiceBroker({ nodeID: 'gatewayCrud' });
+    broker.createService(publisherSvc);
+    broker.createService(magazineSvc);
+    await broker.start();
+    publishers = await broker.call('Publisher.insert', {
+      entities: [
+        { name: 'Ace', city: 'New York' },
+        { name: 'Baen', city: 'Riverdale' },
+        { name: 'Chatto', city: 'London' },
+        { name: 'Del Rey', city: 'New York' },
+        { name: 'Gollancz', city: 'London' },
+      ],
+    });
+    gateway = new GraphQLGateway({ broker });
+    return gateway.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should page through the list with opaque cursors', async () => {
+    const query = `query page($after: String, $last: Int, $before: String) {
+      publishers(first: 2, after: $after, last: $last, before: $before, sort: "name") {
+        edges { node { name }, cursor }
+        pageInfo { hasNextPage, hasPreviousPage, endCursor }
+        totalCount
+      }
+    }`;
+    const first = (await gateway.execute({ query })).data.publishers;
+    expect(names(first)).toEqual(['Ace', 'Baen']);
+    expect(first.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false });
+    expect(first.totalCount).toBe(5);
+    expect(first.pageInfo.endCursor).not.toMatch(/^\d+$/);
+
+    const second = (await gateway.execute({
+      query,
+      variables: { after: first.pageInfo.endCursor },
+    })).data.publishers;
+    expect(names(second)).toEqual(['Chatto', 'Del Rey']);
+    expect(second.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: true });
+
+    const previous = (await gateway.execute({
+      query,
+      variables: { last: 1, before: second.edges[0].cursor },
+    })).data.publishers;
+    expect(names(previous)).toEqual(['Baen']);
+  });
+
+  test('Should filter and search the list', async () => {
+    const { data } = await gateway.execute({
+      query: `{
+        inNewYork: publishers(filter: { city: "New York" }, sort: "name") { edges { node { name } }, totalCount }
+        search: publishers(search: "chatto") { edges { node { name } } }
+      }`,
+    });
+    expect(names(data.inNewYork)).toEqual(['Ace', 'Del Rey']);
+    expect(data.inNewYork.totalCount).toBe(2);
+    expect(names(data.search)).toEqual(['Chatto']);
+  });
+
+  test('Should reject invalid cursors', async () => {
+    const { errors } = await gateway.execute({
+      query: '{ publishers(after: "bm90IGEgY3Vyc29y") { totalCount } }',
+    });
+    expect(errors[0].message).toBe('Invalid cursor bm90IGEgY3Vyc29y');
+  });
+
+  test('Should look entities up by ids in the order of the ids', async () => {
+    const ids = [publishers[2]._id, 'missing', publishers[0]._id];
+    const { data } = await gateway.execute({
+      query: 'query byIds($ids: [ID!]!) { publishersByIds(ids: $ids) { id, name } }',
+      variables: { ids },
+    });
+    expect(data.publishersByIds).toEqual([
+      { id: publishers[2]._id, name: 'Chatto' },
+      null,
+      { id: publishers[0]._id, name: 'Ace' },
+    ]);
+  });
+
+  test('Should create, update and remove entities', async () => {
+    const created = (await gateway.execute({
+      query: 'mutation { createPublisher(input: { name: "Tor", city: "New York" }) { id, name } }',
+    })).data.createPublisher;
+    expect(created.name).toBe('Tor');
+
+    const { data, errors } = await gateway.execute({
+      query: `mutation update($id: ID!) {
+        updatePublisher(input: { id: $id, city: "Manhattan" }) { name, city }
+      }`,
+      variables: { id: created.id },
+    });
+    expect(errors).toBeUndefined();
+    expect(data.updatePublisher).toEqual({ name: 'Tor', city: 'Manhattan' });
+
+    const removed = await gateway.execute({
+      query: 'mutation remove($id: ID!) { removePublisher(id: $id) { name } }',
+      variables: { id: created.id },
+    });
+    expect(removed.data.removePublisher).toEqual({ name: 'Tor' });
+    const lookup = await gateway.execute({
+      query: 'query get($id: ID!) { publisher(id: $id) { name } }',
+      variables: { id: created.id },
+    });
+    expect(lookup).toEqual({ data: { publisher: null } });
+  });
+
+  test('Should resolve relationships through the batch by ids query', async () => {
+    const callSpy = jest.spyOn(broker, 'call');
+    const magazines = [
+      { title: 'Analog', publisherId: publishers[1]._id },
+      { title: 'Galaxy', publisherId: publishers[3]._id },
+    ];
+    const result = await broker.call('gateway.graphql', {
+      query: '{ magazines { title, publisher { name } } }',
+    }, { meta: { magazines } });
+    const calledActions = callSpy.mock.calls.map(([actionName]) => actionName);
+    callSpy.mockRestore();
+
+    expect(result.data.magazines).toEqual([
+      { title: 'Analog', publisher: { name: 'Baen' } },
+      { title: 'Galaxy', publisher: { name: 'Del Rey' } },
+    ]);
+    expect(calledActions.filter(name => name === 'Publisher.get')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,111 @@
+import {
+  createGraphqlMixin,
+  NotFoundError,
+  ForbiddenError,
+} from '..';
+import { startGateway } from './helpers';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const vaultSvc = {
+  name: 'Vault',
+  mixins: [createGraphqlMixin({
+    typeName: 'Secret',
+    schema: `
+      type Secret {
+        value: String,
+      }
+
+      type Query {
+        secret(id: Int!): Secret,
+        secretOf(authorId: Int!): Secret,
+        brokenSecret: Secret,
+      }
+    `,
+    relationships: `
+      extend type Author {
+        secret: Secret @relation(query: "secretOf", args: { authorId: "parent.id" })
+      }
+    `,
+    resolvers: {
+      Query: {
+        secret: (_, { id }) => { throw new NotFoundError(`No secret ${id}`, { id }); },
+        secretOf: () => { throw new ForbiddenError(); },
+        brokenSecret: () => { throw new Error('Connection to 10.0.0.12 refused'); },
+      },
+    },
+  })],
+};
+
+const setupGateway = (nodeID, gatewayOptions) => startGateway(
+  nodeID,
+  [authorSvc, bookSvc, chapterSvc, vaultSvc],
+  { expectedTypes: ['Secret'], ...gatewayOptions },
+);
+
+describe('Error Formatting', () => {
+  let broker;
+  let gateway;
+  let customBroker;
+  let customGateway;
+  let logSpy;
+
+  beforeAll(async () => {
+    ({ broker, gateway } = await setupGateway('gatewayErrors', { maskErrors: true }));
+    ({ broker: customBroker, gateway: customGateway } = await setupGateway('gatewayCustomErrors', {
+      formatError: error => ({ message: error.message.toUpperCase() }),
+    }));
+    logSpy = jest.spyOn(broker.logger, 'error');
+  });
+
+  beforeEach(() => logSpy.mockClear());
+
+  afterAll(() => {
+    logSpy.mockRestore();
+    return Promise.all([broker.stop(), customBroker.stop()]);
+  });
+
+  test('Should keep the code and extensions of typed errors', async () => {
+    const { data, errors } = await gateway.execute({ query: '{ secret(id: 7) { value } }' });
+    expect(data.secret).toBeNull();
+    expect(errors).toEqual([{
+      message: 'No secret 7',
+      locations: [{ line: 1, column: 3 }],
+      path: ['secret'],
+      extensions: { code: 'NOT_FOUND', id: 7 },
+    }]);
+  });
+
+  test('Should keep the path and extensions of errors in relationships', async () => {
+    const { data, errors } = await gateway.execute({ query: '{ author(id: 1) { name, secret { value } } }' });
+    expect(data.author.name).toBeDefined();
+    expect(data.author.secret).toBeNull();
+    expect(errors[0].path).toEqual(['author', 'secret']);
+    expect(errors[0].extensions).toEqual({ code: 'FORBIDDEN' });
+  });
+
+  test('Should mask and log internal errors with their origin', async () => {
+    const { errors } = await gateway.execute({ query: '{ brokenSecret { value } }' });
+    expect(errors[0].message).toBe('Internal server error');
+    expect(errors[0].extensions).toEqual({ code: 'INTERNAL_SERVER_ERROR' });
+    expect(logSpy).toHaveBeenCalledTimes(1);
+    expect(logSpy.mock.calls[0][0]).toBe(
+      'GraphQL error from the Vault service on node gatewayErrors: Connection to 10.0.0.12 refused'
+    );
+  });
+
+  test('Should not mask errors in the request', async () => {
+    const { errors } = await gateway.execute({ query: '{ unknownField }' });
+    expect(errors[0].message).toBe('Cannot query field "unknownField" on type "Query".');
+    expect(errors[0].extensions).toEqual({ code: 'GRAPHQL_VALIDATION_FAILED' });
+    expect(logSpy).not.toHaveBeenCalled();
+  });
+
+  test('Should format errors with the formatError option', async () => {
+    const { errors } = await customGateway.execute({ query: '{ secret(id: 7) { value } }' });
+    expect(errors).toEqual([{ message: 'NO SECRET 7' }]);
+  });
+});
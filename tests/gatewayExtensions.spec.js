@@ -0,0 +1,115 @@
+import { GraphQLGateway, GatewayTimeoutError } from '..';
+import { createBroker, startGateway } from './helpers';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+import * as dataSource from './types/data';
+
+jest.setTimeout(10000);
+
+const typeDefs = `
+  type Viewer {
+    name: String,
+    favoriteAuthor: Author,
+  }
+
+  extend type Query {
+    viewer: Viewer,
+  }
+
+  extend type Author {
+    bookCount: Int,
+  }
+`;
+
+const resolvers = (mergeInfo, broker) => ({
+  Query: {
+    viewer: (parent, args, context) => ({ name: context.meta.user }),
+  },
+  Viewer: {
+    favoriteAuthor: (parent, args, context, info) =>
+      mergeInfo.delegate('query', 'author', { id: 1 }, context, info),
+  },
+  Author: {
+    bookCount: {
+      fragment: 'fragment AuthorBookCount on Author { id }',
+      resolve: async (author) => {
+        const { data } = await broker.call('Book.graphql', {
+          query: 'query books($authorId: Int!) { booksByAuthor(authorId: $authorId) { id } }',
+          variables: { authorId: author.id },
+        });
+        return data.booksByAuthor.length;
+      },
+    },
+  },
+});
+
+describe('Gateway Extensions', () => {
+  const brokers = [];
+
+  const setup = async (...args) => {
+    const setupResult = await startGateway(...args);
+    brokers.push(setupResult.broker);
+    return setupResult;
+  };
+
+  afterAll(() => Promise.all(brokers.map(broker => broker.stop())));
+
+  test('Should stitch the gateway typeDefs with their resolvers', async () => {
+    const { gateway } = await setup('gatewayExtensions', [authorSvc, bookSvc, chapterSvc], {
+      typeDefs,
+      resolvers,
+    });
+    const { data, errors } = await gateway.execute({
+      query: `{
+        viewer {
+          name
+          favoriteAuthor { name, bookCount }
+        }
+        authors { bookCount }
+      }`,
+      context: { meta: { user: 'ann' } },
+    });
+
+    expect(errors).toBeUndefined();
+    const [author] = dataSource.authors;
+    expect(data.viewer).toEqual({
+      name: 'ann',
+      favoriteAuthor: {
+        name: author.name,
+        bookCount: dataSource.books.filter(book => book.authorId === author.id).length,
+      },
+    });
+    expect(data.authors.map(({ bookCount }) => bookCount)).toEqual(dataSource.authors
+      .map(({ id }) => dataSource.books.filter(book => book.authorId === id).length));
+  });
+
+  test('Should wait for the types the typeDefs refer to and leave them out until then', async () => {
+    const broker = createBroker('gatewayPendingExtensions', [authorSvc, bookSvc, chapterSvc]);
+    brokers.push(broker);
+    await broker.start();
+    // Created in place, so its expected types are read before any service is built
+    const gateway = new GraphQLGateway({
+      broker,
+      waitTimeout: 300,
+      typeDefs: `${typeDefs}
+        extend type Viewer {
+          publisher: Publisher,
+        }
+      `,
+      resolvers,
+    });
+    expect(gateway.expectedTypes).toEqual(['Author', 'Publisher']);
+
+    const error = await gateway.start().catch(err => err);
+    expect(error).toBeInstanceOf(GatewayTimeoutError);
+    expect(error.undiscoveredTypes).toEqual(['Publisher']);
+    expect(gateway.schema.getQueryType().getFields().viewer).toBeUndefined();
+    expect(gateway.schema.getType('Author').getFields().bookCount).toBeUndefined();
+
+    const warnSpy = jest.spyOn(broker.logger, 'warn');
+    gateway.generateSchema();
+    expect(warnSpy).toHaveBeenCalledWith('The gateway typeDefs are left out until the Publisher types are available');
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,101 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway, GatewayTimeoutError } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+describe('Gateway Lifecycle', () => {
+  let broker;
+
+  beforeEach(() => {
+    broker = new ServiceBroker({ nodeID: 'gatewayLifecycle' });
+    broker.createService(authorSvc);
+  });
+
+  afterEach(() => broker.stop());
+
+  test('Should start as soon as the expected types are built', async () => {
+    const gateway = new GraphQLGateway({ broker, waitTimeout: 5000 });
+    const started = Date.now();
+    const ready = gateway.ready();
+    const start = gateway.start();
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    await broker.start();
+
+    const schema = await start;
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(schema.getType('Chapter')).toBeDefined();
+    expect(await ready).toBe(schema);
+    expect(gateway.timer).toBeNull();
+    await gateway.stop();
+  });
+
+  test('Should stitch the schema once for each discovery', async () => {
+    // Services are first discovered while the gateway is constructed
+    const registerSpy = jest.spyOn(GraphQLGateway.prototype, 'registerServices');
+    const stitchSpy = jest.spyOn(GraphQLGateway.prototype, 'stitchSchema');
+    const gateway = new GraphQLGateway({ broker });
+    const start = gateway.start();
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    await broker.start();
+    await start;
+
+    const discoveries = registerSpy.mock.calls.filter(([services]) => services.length > 0).length;
+    const stitches = stitchSpy.mock.calls.length;
+    registerSpy.mockRestore();
+    stitchSpy.mockRestore();
+    expect(discoveries).toBeGreaterThan(0);
+    expect(stitches).toBe(discoveries);
+    await gateway.stop();
+  });
+
+  test('Should stay ready when started again', async () => {
+    const gateway = new GraphQLGateway({ broker, waitTimeout: 300 });
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    await broker.start();
+    const schema = await gateway.start();
+
+    expect(await gateway.start()).toBe(schema);
+    expect(gateway.timer).toBeNull();
+    await new Promise(resolve => setTimeout(resolve, 400));
+    expect(await gateway.ready()).toBe(schema);
+    await gateway.stop();
+  });
+
+  test('Should list the missing types when timing out', async () => {
+    const gateway = new GraphQLGateway({ broker, waitTimeout: 300 });
+    await broker.start();
+
+    const error = await gateway.start().catch(err => err);
+    expect(error).toBeInstanceOf(GatewayTimeoutError);
+    expect(error.message).toBe('Timed out waiting for the Book types');
+    expect(error.undiscoveredTypes).toEqual(['Book']);
+    expect(error.extensions).toEqual({
+      code: 'GATEWAY_TIMEOUT',
+      undiscoveredTypes: ['Book'],
+      pendingTypes: [],
+    });
+    expect(gateway.timer).toBeNull();
+    await gateway.stop();
+  });
+
+  test('Should tear down the gateway services when stopped', async () => {
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    await broker.start();
+    const gateway = new GraphQLGateway({ broker });
+    await gateway.start();
+    const iterator = await gateway.subscribe({ query: 'subscription { bookCreated { title } }' });
+    expect(await gateway.eventService).not.toBeNull();
+
+    await gateway.stop();
+    expect(broker.getLocalService('gateway')).toBeUndefined();
+    expect(broker.getLocalService('gateway-events')).toBeUndefined();
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+  });
+});
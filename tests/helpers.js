@@ -0,0 +1,52 @@
+import { ServiceBroker, Transporters } from 'moleculer';
+import { GraphQLGateway } from '..';
+
+/**
+ * @function createBroker Create a broker running the given services
+ * @param {string} nodeID The node ID of the broker
+ * @param {Array<Object>} services The service schemas to create on the broker
+ * @param {Object} brokerOptions Any other options of the broker
+ * @returns {ServiceBroker} The broker, not yet started
+ */
+export const createBroker = (nodeID, services = [], brokerOptions) => {
+  const broker = new ServiceBroker({ nodeID, ...brokerOptions });
+  services.forEach(service => broker.createService(service));
+  return broker;
+};
+
+/**
+ * @function createRemoteBroker Create a broker that reaches the others of its namespace over MQTT
+ * @param {string} nodeID The node ID of the broker
+ * @param {string} namespace The namespace the brokers of a spec share
+ * @param {Array<Object>} services The service schemas to create on the broker
+ * @returns {ServiceBroker} The broker, not yet started
+ */
+export const createRemoteBroker = (nodeID, namespace, services) => createBroker(nodeID, services, {
+  namespace,
+  transporter: new Transporters.MQTT('mqtt://localhost:1883'),
+});
+
+/**
+ * @function createGateway Start a broker with the given services and create a gateway on it
+ * @param {string} nodeID The node ID of the broker
+ * @param {Array<Object>} services The service schemas to create on the broker
+ * @param {Object} gatewayOptions Any options of the gateway besides its broker
+ * @param {Object} brokerOptions Any other options of the broker
+ * @returns {Promise<Object>} The broker and the gateway, not yet started
+ */
+export const createGateway = async (nodeID, services, gatewayOptions, brokerOptions) => {
+  const broker = createBroker(nodeID, services, brokerOptions);
+  await broker.start();
+  const gateway = new GraphQLGateway({ broker, ...gatewayOptions });
+  return { broker, gateway };
+};
+
+/**
+ * @function startGateway Create a gateway like createGateway and wait for it to start
+ * @returns {Promise<Object>} The broker and the started gateway
+ */
+export const startGateway = async (...args) => {
+  const setup = await createGateway(...args);
+  await setup.gateway.start();
+  return setup;
+};
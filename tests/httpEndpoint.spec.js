@@ -0,0 +1,150 @@
+import http from 'http';
+import { ServiceBroker } from 'moleculer';
+import ApiGateway from 'moleculer-web';
+import { GraphQLGateway, createGraphqlRoute } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+import * as dataSource from './types/data';
+
+jest.setTimeout(10000);
+
+const request = (server, { method = 'GET', path = '/graphql', headers = {}, body }) =>
+  new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const req = http.request({ port, method, path, headers }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    if (body) req.write(body);
+    req.end();
+  });
+
+describe('HTTP Endpoint', () => {
+  let broker;
+  let gateway;
+  let apiService;
+
+  const authenticate = jest.fn((ctx, route, req) => {
+    if (req.headers.authorization === 'Bearer secret') return { name: 'brad' };
+    return null;
+  });
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayHttp',
+    });
+
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    broker.createService({
+      name: 'Viewer',
+      actions: {
+        graphql: ctx => ({ data: { user: ctx.meta.user } }),
+      },
+    });
+
+    apiService = broker.createService({
+      mixins: [ApiGateway],
+      settings: {
+        port: 0,
+        routes: [
+          createGraphqlRoute({ authenticate, graphiql: true }),
+          createGraphqlRoute({ path: '/viewer', action: 'Viewer.graphql', authenticate }),
+        ],
+      },
+    });
+
+    // The gateway can be ready before the HTTP server listens
+    const started = broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+    });
+
+    return Promise.all([started, gateway.start()]);
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should answer POST requests with a JSON body', async () => {
+    const { status, body } = await request(apiService.server, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        query: 'query Author($id: Int!) { author(id: $id) { name } }',
+        variables: { id: 2 },
+      }),
+    });
+
+    expect(status).toBe(200);
+    expect(JSON.parse(body)).toEqual({ data: { author: { name: dataSource.authors[1].name } } });
+  });
+
+  test('Should answer POST requests with an application/graphql body', async () => {
+    const { body } = await request(apiService.server, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/graphql' },
+      body: '{ authors { id } }',
+    });
+
+    expect(JSON.parse(body)).toEqual({
+      data: { authors: dataSource.authors.map(({ id }) => ({ id })) },
+    });
+  });
+
+  test('Should answer GET requests with the operation in the query string', async () => {
+    const query = encodeURIComponent('query A { author(id: 1) { name } } query B($id: Int!) { book(id: $id) { title } }');
+    const variables = encodeURIComponent(JSON.stringify({ id: 4 }));
+    const { body } = await request(apiService.server, {
+      path: `/graphql?query=${query}&variables=${variables}&operationName=B`,
+    });
+
+    expect(JSON.parse(body)).toEqual({ data: { book: { title: dataSource.books[3].title } } });
+  });
+
+  test('Should refuse to run mutations from GET requests', async () => {
+    const mutation = encodeURIComponent('query A { authors { id } } mutation B { updateAuthor(input: { id: 1, clientMutationId: 1, name: "Poe" }) { clientMutationId } }');
+    const { status, body } = await request(apiService.server, {
+      path: `/graphql?query=${mutation}&operationName=B`,
+    });
+    expect(status).toBe(405);
+    expect(JSON.parse(body).message).toBe('Can only perform a mutation operation from a POST request');
+
+    const { status: queryStatus } = await request(apiService.server, {
+      path: `/graphql?query=${mutation}&operationName=A`,
+    });
+    expect(queryStatus).toBe(200);
+  });
+
+  test('Should reject variables that are not valid JSON', async () => {
+    const { status } = await request(apiService.server, {
+      path: `/graphql?query=${encodeURIComponent('{ authors { id } }')}&variables=nope`,
+    });
+
+    expect(status).toBe(400);
+  });
+
+  test('Should serve GraphiQL to browsers', async () => {
+    const { headers, body } = await request(apiService.server, {
+      headers: { Accept: 'text/html' },
+    });
+
+    expect(headers['content-type']).toContain('text/html');
+    expect(body).toContain('GraphiQL');
+  });
+
+  test('Should put the authenticated user in ctx.meta', async () => {
+    const { body } = await request(apiService.server, {
+      method: 'POST',
+      path: '/viewer',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer secret' },
+      body: JSON.stringify({ query: '{ user }' }),
+    });
+
+    expect(JSON.parse(body)).toEqual({ data: { user: { name: 'brad' } } });
+  });
+});
@@ -0,0 +1,106 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const pseudonyms = [
+  { name: 'Mark Twain', authorId: 1 },
+  { name: 'Boz', authorId: 2 },
+];
+
+const writerSvc = {
+  name: 'writers',
+  mixins: [createGraphqlMixin({
+    schema: `
+      type Pseudonym {
+        name: String,
+      }
+
+      type AuthorStats {
+        pseudonymCount: Int,
+      }
+
+      type Query {
+        pseudonymsOf(authorId: Int!): [Pseudonym],
+        statsOf(authorId: Int!): AuthorStats,
+      }
+    `,
+    relationships: `
+      extend type Author {
+        pseudonyms: [Pseudonym] @relation(query: "pseudonymsOf", args: { authorId: "parent.id" }),
+        stats: AuthorStats @relation(query: "statsOf", args: { authorId: "parent.id" }),
+      }
+    `,
+    resolvers: {
+      Query: {
+        pseudonymsOf: (_, { authorId }) => pseudonyms.filter(pseudonym => pseudonym.authorId === authorId),
+        statsOf: (_, { authorId }) => ({
+          pseudonymCount: pseudonyms.filter(pseudonym => pseudonym.authorId === authorId).length,
+        }),
+      },
+    },
+  })],
+};
+
+describe('Multiple Types Per Service', () => {
+  let broker;
+  let gateway;
+  let writerService;
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayMultipleTypes',
+    });
+
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    writerService = broker.createService(writerSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+      expectedTypes: ['Pseudonym', 'AuthorStats'],
+    });
+
+    return gateway.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should derive the owned types from the SDL', () => {
+    expect(writerService.settings.typeName).toBe('Pseudonym');
+    expect(writerService.settings.typeNames).toEqual(['Pseudonym', 'AuthorStats']);
+  });
+
+  test('Should discover every type provided by a service', () => {
+    expect(gateway.discoveredTypes.Pseudonym).toBe('writers');
+    expect(gateway.discoveredTypes.AuthorStats).toBe('writers');
+    expect(gateway.ownedTypes.Pseudonym).toEqual(['Pseudonym', 'AuthorStats']);
+  });
+
+  test('Should resolve relationships to any type of the service', async () => {
+    const { data, errors } = await gateway.execute({
+      query: '{ author(id: 1) { pseudonyms { name }, stats { pseudonymCount } } }',
+    });
+    expect(errors).toBeUndefined();
+    expect(data.author).toEqual({
+      pseudonyms: [{ name: 'Mark Twain' }],
+      stats: { pseudonymCount: 1 },
+    });
+  });
+
+  test('Should remove every type of a service when it stops', async () => {
+    await broker.destroyService(writerService);
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    expect(gateway.discoveredTypes.Pseudonym).toBeUndefined();
+    expect(gateway.discoveredTypes.AuthorStats).toBeUndefined();
+    expect(gateway.schema.getType('AuthorStats')).toBeUndefined();
+    expect(gateway.schema.getType('Author').getFields().stats).toBeUndefined();
+  });
+});
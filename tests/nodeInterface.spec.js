@@ -0,0 +1,164 @@
+import { ServiceBroker } from 'moleculer';
+import DbService from 'moleculer-db';
+import {
+  GraphQLGateway,
+  createGraphqlMixin,
+  createCrudGraphqlMixin,
+  toGlobalId,
+  fromGlobalId,
+} from '..';
+
+jest.setTimeout(10000);
+
+const planets = [
+  { id: 1, name: 'Arrakis' },
+  { id: 2, name: 'Caladan' },
+];
+
+const planetSvc = {
+  name: 'Planet',
+  mixins: [createGraphqlMixin({
+    typeName: 'Planet',
+    schema: `
+      type Planet {
+        id: Int,
+        name: String,
+      }
+
+      type Query {
+        planet(id: Int!): Planet,
+        planets: [Planet],
+      }
+    `,
+    resolvers: {
+      Query: {
+        planet: (_, { id }) => planets.find(planet => planet.id === id),
+        planets: () => planets,
+      },
+    },
+    nodeQuery: 'planet',
+  })],
+};
+
+const houseSvc = {
+  name: 'House',
+  mixins: [DbService, createCrudGraphqlMixin({
+    typeName: 'House',
+    fields: {
+      name: 'String!',
+    },
+    nodeQuery: 'house',
+  })],
+  adapter: new DbService.MemoryAdapter(),
+};
+
+const guildSvc = {
+  name: 'Guild',
+  mixins: [createGraphqlMixin({
+    typeName: 'Guild',
+    schema: `
+      type Guild {
+        code: String,
+        name: String,
+      }
+
+      type Query {
+        guild(code: String!): Guild,
+      }
+    `,
+    resolvers: {
+      Query: {
+        guild: (_, { code }) => (code === 'spacing' ? { code, name: 'Spacing Guild' } : null),
+      },
+    },
+    nodeQuery: 'guild',
+  })],
+};
+
+describe('Node Interface', () => {
+  let broker;
+  let gateway;
+
+  beforeAll(async () => {
+    broker = new ServiceBroker({ nodeID: 'gatewayNodes' });
+    broker.createService(planetSvc);
+    broker.createService(houseSvc);
+    broker.createService(guildSvc);
+    await broker.start();
+    gateway = new GraphQLGateway({ broker });
+    return gateway.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should encode the type name and local ID in global IDs', () => {
+    const globalId = toGlobalId('Planet', 1);
+    expect(globalId).not.toContain('Planet');
+    expect(fromGlobalId(globalId)).toEqual({ typeName: 'Planet', id: '1' });
+    expect(() => fromGlobalId('nonsense')).toThrow('Invalid global ID nonsense');
+  });
+
+  test('Should make the types with a node query implement Node', () => {
+    const nodeType = gateway.schema.getType('Node');
+    expect(gateway.schema.getPossibleTypes(nodeType).map(String).sort()).toEqual(['Guild', 'House', 'Planet']);
+    expect(Object.keys(gateway.schema.getQueryType().getFields())).toEqual(expect.arrayContaining(['node', 'nodes']));
+    expect(String(gateway.schema.getType('Planet').getFields().id.type)).toBe('ID!');
+    expect(String(gateway.schema.getType('Guild').getFields().id.type)).toBe('ID!');
+  });
+
+  test('Should refetch nodes from the service owning their type', async () => {
+    const { data: { planets: [arrakis] } } = await gateway.execute({ query: '{ planets { id } }' });
+    expect(arrakis.id).toBe(toGlobalId('Planet', 1));
+
+    const { data, errors } = await gateway.execute({
+      query: `query refetch($id: ID!) {
+        node(id: $id) {
+          id
+          ... on Planet { name }
+        }
+      }`,
+      variables: { id: arrakis.id },
+    });
+    expect(errors).toBeUndefined();
+    expect(data.node).toEqual({ id: arrakis.id, name: 'Arrakis' });
+  });
+
+  test('Should build the id of types without one from their node query argument', async () => {
+    const { data, errors } = await gateway.execute({
+      query: `query refetch($id: ID!) {
+        node(id: $id) {
+          nodeId: id
+          ... on Guild { code, name }
+        }
+      }`,
+      variables: { id: toGlobalId('Guild', 'spacing') },
+    });
+    expect(errors).toBeUndefined();
+    expect(data.node).toEqual({ nodeId: toGlobalId('Guild', 'spacing'), code: 'spacing', name: 'Spacing Guild' });
+  });
+
+  test('Should refetch the nodes of several services at once', async () => {
+    const { data: { createHouse: house } } = await gateway.execute({
+      query: 'mutation { createHouse(input: { name: "Atreides" }) { id } }',
+    });
+    expect(fromGlobalId(house.id).typeName).toBe('House');
+
+    const { data, errors } = await gateway.execute({
+      query: `query refetch($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          __typename
+          id
+          ... on House { houseName: name }
+          ... on Planet { name }
+        }
+      }`,
+      variables: { ids: [house.id, toGlobalId('Planet', 2), toGlobalId('Spice', 1)] },
+    });
+    expect(errors).toBeUndefined();
+    expect(data.nodes).toEqual([
+      { __typename: 'House', id: house.id, houseName: 'Atreides' },
+      { __typename: 'Planet', id: toGlobalId('Planet', 2), name: 'Caladan' },
+      null,
+    ]);
+  });
+});
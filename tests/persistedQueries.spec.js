@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { createMemoryStore } from '../src/Gateway/persistedQueries';
+import { startGateway } from './helpers';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const sha256 = query => crypto.createHash('sha256').update(query).digest('hex');
+const persisted = query => ({ persistedQuery: { version: 1, sha256Hash: sha256(query) } });
+
+const setupGateway = (nodeID, gatewayOptions, brokerOptions) => startGateway(
+  nodeID,
+  [authorSvc, bookSvc, chapterSvc],
+  gatewayOptions,
+  brokerOptions,
+);
+
+describe('Persisted Queries', () => {
+  const query = '{ author(id: 1) { name } }';
+  let broker;
+  let cacherBroker;
+  let allowListBroker;
+
+  beforeAll(async () => {
+    ({ broker } = await setupGateway('gatewayPersisted', { persistedQueries: true }));
+    ({ broker: cacherBroker } = await setupGateway(
+      'gatewayPersistedCacher',
+      { persistedQueries: { store: 'cacher' } },
+      { cacher: 'Memory' },
+    ));
+    ({ broker: allowListBroker } = await setupGateway('gatewayAllowList', {
+      persistedQueries: {
+        allowList: true,
+        queries: [query],
+      },
+    }));
+  });
+
+  afterAll(() => Promise.all([broker.stop(), cacherBroker.stop(), allowListBroker.stop()]));
+
+  test('Should ask for the document of an unknown hash', async () => {
+    const { errors } = await broker.call('gateway.graphql', {
+      extensions: persisted('{ authors { name } }'),
+    });
+    expect(errors[0].message).toBe('PersistedQueryNotFound');
+  });
+
+  test('Should register documents sent with their hash', async () => {
+    const first = await broker.call('gateway.graphql', { query, extensions: persisted(query) });
+    const second = await broker.call('gateway.graphql', { extensions: persisted(query) });
+    expect(first.data.author.name).toBeDefined();
+    expect(second).toEqual(first);
+  });
+
+  test('Should reject a hash that does not match the document', async () => {
+    const { errors } = await broker.call('gateway.graphql', {
+      query: '{ authors { name } }',
+      extensions: persisted(query),
+    });
+    expect(errors[0].message).toBe('provided sha does not match query');
+  });
+
+  test('Should drop the least recently used documents from a full memory store', async () => {
+    const store = createMemoryStore(2);
+    await store.set('a', '{ a }');
+    await store.set('b', '{ b }');
+    expect(await store.get('a')).toBe('{ a }');
+    await store.set('c', '{ c }');
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('a')).toBe('{ a }');
+    expect(await store.get('c')).toBe('{ c }');
+  });
+
+  test('Should keep persisted queries in the cacher when asked to', async () => {
+    await cacherBroker.call('gateway.graphql', { query, extensions: persisted(query) });
+    expect(await cacherBroker.cacher.get(`graphql-persisted.${sha256(query)}`)).toBe(query);
+  });
+
+  test('Should run registered queries in allow-list mode', async () => {
+    const byHash = await allowListBroker.call('gateway.graphql', { extensions: persisted(query) });
+    const byDocument = await allowListBroker.call('gateway.graphql', { query });
+    expect(byHash.data.author.name).toBeDefined();
+    expect(byDocument).toEqual(byHash);
+  });
+
+  test('Should reject unregistered queries in allow-list mode', async () => {
+    const unregistered = '{ authors { name } }';
+    const withHash = await allowListBroker.call('gateway.graphql', {
+      query: unregistered,
+      extensions: persisted(unregistered),
+    });
+    const withoutHash = await allowListBroker.call('gateway.graphql', { query: unregistered });
+    expect(withHash.errors[0].message).toBe('PersistedQueryNotAllowed');
+    expect(withoutHash.errors[0].message).toBe('PersistedQueryNotAllowed');
+  });
+});
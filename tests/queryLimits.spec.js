@@ -0,0 +1,109 @@
+import { ServiceBroker } from 'moleculer';
+import { parse, specifiedRules, validate } from 'graphql';
+import { GraphQLGateway } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+describe('Query Limits', () => {
+  let broker;
+  let gateway;
+  let callSpy;
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayLimits',
+    });
+
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+      maxDepth: 3,
+      maxCost: 50,
+      costHints: {
+        Query: {
+          authors: { multiplier: 10 },
+        },
+      },
+    });
+
+    callSpy = jest.spyOn(broker, 'call');
+
+    return gateway.start();
+  });
+
+  beforeEach(() => callSpy.mockClear());
+
+  afterAll(() => {
+    callSpy.mockRestore();
+    return broker.stop();
+  });
+
+  test('Should resolve queries within the limits', async () => {
+    const { data, errors } = await gateway.execute({
+      query: '{ book(id: 1) { title, author { name } } }',
+    });
+    expect(errors).toBeUndefined();
+    expect(data.book.author.name).toBeDefined();
+  });
+
+  test('Should reject queries deeper than maxDepth before calling services', async () => {
+    const { data, errors } = await gateway.execute({
+      query: '{ book(id: 1) { author { books { title } } } }',
+    });
+    expect(data).toBeUndefined();
+    expect(errors.map(err => err.message))
+      .toEqual(['Query depth of 4 exceeds the maximum depth of 3.']);
+    expect(callSpy).not.toHaveBeenCalled();
+  });
+
+  test('Should count fields spread from fragments towards the depth', async () => {
+    const { errors } = await gateway.execute({
+      query: `
+        query { book(id: 1) { ...BookAuthor } }
+        fragment BookAuthor on Book { author { books { title } } }
+      `,
+    });
+    expect(errors.map(err => err.message))
+      .toEqual(['Query depth of 4 exceeds the maximum depth of 3.']);
+  });
+
+  test('Should reject queries costing more than maxCost using service and gateway hints', async () => {
+    // authors: 1 + 10 * (name: 1 + books: 1 + 5 * title: 1)
+    const { errors } = await gateway.execute({
+      query: '{ authors { name, books { title } } }',
+    });
+    expect(errors.map(err => err.message))
+      .toEqual(['Query cost of 71 exceeds the maximum cost of 50.']);
+    expect(callSpy).not.toHaveBeenCalled();
+  });
+
+  test('Should walk each fragment once however often it is spread', () => {
+    // Each fragment spreads the previous one twice, walking every spread would take 2^24 steps
+    const fragments = Array.from({ length: 24 }, (_, i) => `fragment F${i + 1} on Author { ...F${i} ...F${i} }`);
+    const document = parse(`
+      { author(id: 1) { ...F24 } }
+      fragment F0 on Author { name }
+      ${fragments.join('\n')}
+    `);
+    const limitRules = gateway.getValidationRules().slice(specifiedRules.length);
+    const start = Date.now();
+    const errors = validate(gateway.schema, document, limitRules);
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(errors.map(({ message }) => message)).toEqual(['Query cost of 16777217 exceeds the maximum cost of 50.']);
+  });
+
+  test('Should return the limit errors from the gateway action', async () => {
+    const { errors } = await broker.call('gateway.graphql', {
+      query: '{ authors { name, books { title } } }',
+    });
+    expect(errors[0].message).toBe('Query cost of 71 exceeds the maximum cost of 50.');
+  });
+});
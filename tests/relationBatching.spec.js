@@ -0,0 +1,93 @@
+import { ServiceBroker } from 'moleculer';
+import { graphql as execute } from 'graphql';
+import { GraphQLGateway } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+import * as dataSource from './types/data';
+
+jest.setTimeout(10000);
+
+describe('Relation Batching', () => {
+  let broker;
+  let gateway;
+  let callSpy;
+
+  const countCalls = action => callSpy.mock.calls.filter(([name]) => name === action).length;
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayBatching',
+    });
+
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+    });
+
+    callSpy = jest.spyOn(broker, 'call');
+
+    return gateway.start();
+  });
+
+  beforeEach(() => callSpy.mockClear());
+
+  afterAll(() => {
+    callSpy.mockRestore();
+    return broker.stop();
+  });
+
+  test('Should resolve a relationship for all parents with a single remote call', async () => {
+    const { data } = await execute(gateway.schema, `{
+      authors {
+        id
+        books {
+          title
+        }
+      }
+    }`);
+
+    expect(data).toEqual({
+      authors: dataSource.authors.map(author => ({
+        id: author.id,
+        books: dataSource.books
+          .filter(book => book.authorId === author.id)
+          .map(book => ({ title: book.title })),
+      })),
+    });
+    expect(countCalls('Book.graphql')).toBe(1);
+  });
+
+  test('Should batch nested relationships once per level', async () => {
+    await execute(gateway.schema, `{
+      authors {
+        books {
+          chapters {
+            title
+          }
+        }
+      }
+    }`);
+
+    expect(countCalls('Author.graphql')).toBe(1);
+    expect(countCalls('Book.graphql')).toBe(1);
+    expect(countCalls('Chapter.graphql')).toBe(1);
+  });
+
+  test('Should keep resolving relationships without a batch operation per parent', async () => {
+    await execute(gateway.schema, `{
+      books {
+        author {
+          name
+        }
+      }
+    }`);
+
+    expect(countCalls('Author.graphql')).toBe(dataSource.books.length);
+  });
+});
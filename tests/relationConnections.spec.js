@@ -0,0 +1,257 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+
+jest.setTimeout(10000);
+
+const series = [
+  { id: 1, name: 'Foundation' },
+  { id: 2, name: 'Dune' },
+];
+
+const novels = [
+  { id: 1, seriesId: 1, title: 'Foundation', year: 1951 },
+  { id: 2, seriesId: 1, title: 'Foundation and Empire', year: 1952 },
+  { id: 3, seriesId: 1, title: 'Second Foundation', year: 1953 },
+  { id: 4, seriesId: 1, title: 'Foundation\'s Edge', year: 1982 },
+  { id: 5, seriesId: 2, title: 'Dune', year: 1965 },
+  { id: 6, seriesId: 2, title: 'Dune Messiah', year: 1969 },
+];
+
+const seriesSvc = {
+  name: 'Series',
+  mixins: [createGraphqlMixin({
+    typeName: 'Series',
+    schema: `
+      type Series {
+        id: Int,
+        name: String,
+      }
+
+      type Query {
+        series: [Series],
+      }
+    `,
+    resolvers: {
+      Query: {
+        series: () => series,
+      },
+    },
+  })],
+};
+
+// Only returns the page asked for, the whole list without a limit
+const novelsPage = jest.fn((_, { seriesId, since = 0, offset = 0, limit }) => {
+  const list = novels.filter(novel => novel.seriesId === seriesId && novel.year >= since);
+  return limit == null ? list.slice(offset) : list.slice(offset, offset + limit);
+});
+
+const novelCount = jest.fn((_, { seriesId, since = 0 }) => novels
+  .filter(novel => novel.seriesId === seriesId && novel.year >= since).length);
+
+const novelSvc = {
+  name: 'Novel',
+  mixins: [createGraphqlMixin({
+    typeName: 'Novel',
+    schema: `
+      type Novel {
+        id: Int,
+        seriesId: Int,
+        title: String,
+        year: Int,
+      }
+
+      type Query {
+        novelsInSeries(seriesId: Int!, since: Int): [Novel],
+        novelsBySeriesIds(seriesIds: [Int!], since: Int): [Novel],
+        novelsPage(seriesId: Int!, since: Int, offset: Int, limit: Int): [Novel],
+        novelCount(seriesId: Int!, since: Int): Int,
+      }
+    `,
+    resolvers: {
+      Query: {
+        novelsInSeries: (_, { seriesId, since = 0 }) => novels
+          .filter(novel => novel.seriesId === seriesId && novel.year >= since),
+        novelsBySeriesIds: (_, { seriesIds, since = 0 }) => novels
+          .filter(novel => seriesIds.includes(novel.seriesId) && novel.year >= since),
+        novelsPage,
+        novelCount,
+      },
+    },
+    relationships: `
+      extend type Series {
+        novels(first: Int, after: String, last: Int, before: String, since: Int): NovelConnection @relation(
+          query: "novelsInSeries",
+          args: { seriesId: "parent.id" },
+          forwardArgs: ["since"],
+          connection: true,
+        ),
+        batchedNovels(first: Int, after: String, since: Int): NovelConnection,
+        pagedNovels(first: Int, after: String, last: Int, before: String, since: Int): NovelConnection @relation(
+          query: "novelsPage",
+          args: { seriesId: "parent.id" },
+          forwardArgs: ["since"],
+          connection: true,
+          paginate: { offsetArg: "offset", limitArg: "limit", countQuery: "novelCount" },
+        ),
+      }
+    `,
+    relationDefinitions: {
+      batchedNovels: {
+        type: 'query',
+        operationName: 'novelsInSeries',
+        args: { seriesId: 'parent.id' },
+        forwardArgs: true,
+        connection: true,
+        batch: {
+          operationName: 'novelsBySeriesIds',
+          argName: 'seriesIds',
+          parentKey: 'parent.id',
+          key: 'seriesId',
+        },
+      },
+    },
+  })],
+};
+
+const titles = ({ edges }) => edges.map(({ node }) => node.title);
+
+describe('Relation Connections', () => {
+  let broker;
+  let gateway;
+
+  beforeAll(async () => {
+    broker = new ServiceBroker({ nodeID: 'gatewayConnections' });
+    broker.createService(seriesSvc);
+    broker.createService(novelSvc);
+    await broker.start();
+    gateway = new GraphQLGateway({ broker });
+    return gateway.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should add the connection types and validate the definitions', () => {
+    expect(gateway.schema.getType('NovelConnection')).toBeDefined();
+    expect(Object.keys(gateway.schema.getType('NovelEdge').getFields())).toEqual(['node', 'cursor']);
+    expect(gateway.schema.getType('PageInfo')).toBeDefined();
+    expect(gateway.relationshipErrors).toEqual([]);
+  });
+
+  test('Should page through a relationship with opaque cursors', async () => {
+    const query = `query page($after: String) {
+      series {
+        name
+        novels(first: 2, after: $after) {
+          edges { cursor, node { title } }
+          pageInfo { hasNextPage, hasPreviousPage, endCursor }
+          totalCount
+        }
+      }
+    }`;
+    const first = (await gateway.execute({ query })).data.series[0].novels;
+    expect(titles(first)).toEqual(['Foundation', 'Foundation and Empire']);
+    expect(first.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false });
+    expect(first.totalCount).toBe(4);
+    expect(first.pageInfo.endCursor).not.toMatch(/^\d+$/);
+
+    const { data } = await gateway.execute({ query, variables: { after: first.pageInfo.endCursor } });
+    expect(titles(data.series[0].novels)).toEqual(['Second Foundation', 'Foundation\'s Edge']);
+    expect(data.series[0].novels.pageInfo.hasNextPage).toBe(false);
+  });
+
+  test('Should forward field arguments to the operation', async () => {
+    const { data } = await gateway.execute({
+      query: `{
+        series {
+          novels(since: 1960, last: 1) {
+            totalCount
+            ... on NovelConnection { edges { node { ...novelTitle } } }
+          }
+        }
+      }
+
+      fragment novelTitle on Novel { title }`,
+    });
+    expect(data.series.map(({ novels: page }) => page.totalCount)).toEqual([1, 2]);
+    expect(data.series.map(({ novels: page }) => titles(page))).toEqual([['Foundation\'s Edge'], ['Dune Messiah']]);
+  });
+
+  test('Should batch connection relationships', async () => {
+    const callSpy = jest.spyOn(broker, 'call');
+    const { data } = await gateway.execute({
+      query: '{ series { batchedNovels(first: 1, since: 1952) { edges { node { title } }, totalCount } } }',
+    });
+    const novelCalls = callSpy.mock.calls.filter(([actionName]) => actionName === 'Novel.graphql');
+    callSpy.mockRestore();
+
+    expect(data.series.map(({ batchedNovels }) => titles(batchedNovels))).toEqual([
+      ['Foundation and Empire'],
+      ['Dune'],
+    ]);
+    expect(data.series.map(({ batchedNovels }) => batchedNovels.totalCount)).toEqual([3, 2]);
+    expect(novelCalls).toHaveLength(1);
+  });
+
+  describe('with an operation that paginates', () => {
+    const pagedQuery = `query page($after: String, $last: Int) {
+      series {
+        pagedNovels(first: 2, after: $after, last: $last) {
+          edges { node { title } }
+          pageInfo { hasNextPage, hasPreviousPage, endCursor }
+        }
+      }
+    }`;
+
+    beforeEach(() => {
+      novelsPage.mockClear();
+      novelCount.mockClear();
+    });
+
+    test('Should only fetch the requested page', async () => {
+      const { data, errors } = await gateway.execute({ query: pagedQuery });
+      expect(errors).toBeUndefined();
+      const [foundation, dune] = data.series.map(({ pagedNovels }) => pagedNovels);
+      expect(titles(foundation)).toEqual(['Foundation', 'Foundation and Empire']);
+      expect(foundation.pageInfo).toMatchObject({ hasNextPage: true, hasPreviousPage: false });
+      expect(titles(dune)).toEqual(['Dune', 'Dune Messiah']);
+      expect(dune.pageInfo.hasNextPage).toBe(false);
+      // One more node than the page tells whether there is a next one
+      expect(novelsPage.mock.calls.map(([, args]) => args)).toEqual([
+        { seriesId: 1, limit: 3 },
+        { seriesId: 2, limit: 3 },
+      ]);
+      expect(novelCount).not.toHaveBeenCalled();
+
+      const next = await gateway.execute({
+        query: pagedQuery,
+        variables: { after: foundation.pageInfo.endCursor },
+      });
+      expect(titles(next.data.series[0].pagedNovels)).toEqual(['Second Foundation', 'Foundation\'s Edge']);
+      expect(next.data.series[0].pagedNovels.pageInfo.hasNextPage).toBe(false);
+      expect(novelsPage.mock.calls[2][1]).toEqual({ seriesId: 1, offset: 2, limit: 3 });
+    });
+
+    test('Should count the list with the count query', async () => {
+      const { data } = await gateway.execute({
+        query: '{ series { pagedNovels(first: 1, since: 1952) { totalCount, edges { node { title } } } } }',
+      });
+      expect(data.series.map(({ pagedNovels }) => pagedNovels.totalCount)).toEqual([3, 2]);
+      expect(novelCount.mock.calls.map(([, args]) => args)).toEqual([
+        { seriesId: 1, since: 1952 },
+        { seriesId: 2, since: 1952 },
+      ]);
+      expect(novelsPage.mock.calls[0][1]).toEqual({ seriesId: 1, since: 1952, limit: 2 });
+    });
+
+    test('Should cut the page out of the whole list when its bounds are unknown', async () => {
+      const { data } = await gateway.execute({
+        query: '{ series { pagedNovels(last: 1) { edges { node { title } } } } }',
+      });
+      expect(data.series.map(({ pagedNovels }) => titles(pagedNovels))).toEqual([
+        ['Foundation\'s Edge'],
+        ['Dune Messiah'],
+      ]);
+      expect(novelsPage.mock.calls.map(([, args]) => args)).toEqual([{ seriesId: 1 }, { seriesId: 2 }]);
+    });
+  });
+});
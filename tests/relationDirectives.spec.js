@@ -0,0 +1,226 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const reviews = [
+  { id: 1, authorId: 1, rating: 5 },
+  { id: 2, bookId: 1, rating: 3 },
+  { id: 3, bookId: 1, rating: 4 },
+];
+
+const reviewSvc = {
+  name: 'Review',
+  mixins: [createGraphqlMixin({
+    typeName: 'Review',
+    schema: `
+      type Review {
+        id: Int,
+        rating: Int,
+      }
+
+      type Query {
+        reviewsOfAuthor(authorId: Int!): [Review],
+        reviewsOfBook(bookId: Int!): [Review],
+      }
+    `,
+    relationships: `
+      extend type Author {
+        reviews: [Review] @relation(query: "reviewsOfAuthor", args: { authorId: "parent.id" })
+      }
+
+      extend type Book {
+        reviews: [Review] @relation(query: "reviewsOfBook", args: { bookId: "parent.id" })
+      }
+    `,
+    resolvers: {
+      Query: {
+        reviewsOfAuthor: (_, { authorId }) => reviews.filter(review => review.authorId === authorId),
+        reviewsOfBook: (_, { bookId }) => reviews.filter(review => review.bookId === bookId),
+      },
+    },
+  })],
+};
+
+const shipmentSvc = {
+  name: 'Shipment',
+  mixins: [createGraphqlMixin({
+    typeName: 'Shipment',
+    schema: `
+      type Address {
+        city: String,
+        zip: Int,
+      }
+
+      type Shipment {
+        id: Int,
+        destination: Address,
+      }
+
+      type Query {
+        shipment(id: Int!): Shipment,
+      }
+    `,
+    resolvers: {
+      Query: {
+        shipment: (_, { id }) => ({ id, destination: { city: 'Bangor', zip: 4401 } }),
+      },
+    },
+  })],
+};
+
+const forecastSvc = {
+  name: 'Forecast',
+  mixins: [createGraphqlMixin({
+    typeName: 'Forecast',
+    schema: `
+      type Forecast {
+        zip: Int,
+        summary: String,
+      }
+
+      type Query {
+        forecastOf(zip: Int!): Forecast,
+      }
+    `,
+    relationships: `
+      extend type Shipment {
+        forecast: Forecast @relation(query: "forecastOf", args: { zip: "parent.destination.zip" })
+      }
+    `,
+    resolvers: {
+      Query: {
+        forecastOf: (_, { zip }) => ({ zip, summary: 'Snow' }),
+      },
+    },
+  })],
+};
+
+const ratingSvc = {
+  name: 'Rating',
+  mixins: [createGraphqlMixin({
+    typeName: 'Rating',
+    schema: `
+      type Rating {
+        stars: Int,
+      }
+
+      type Query {
+        ratingOf(bookId: Int!): Rating,
+      }
+    `,
+    relationships: `
+      extend type Book {
+        rating: Rating @relation(args: { bookId: "parent.id" })
+      }
+    `,
+    resolvers: {
+      Query: {
+        ratingOf: () => ({ stars: 4 }),
+      },
+    },
+  })],
+};
+
+describe('Relation Directives', () => {
+  let broker;
+  let gateway;
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayDirectives',
+    });
+
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    broker.createService(reviewSvc);
+    broker.createService(shipmentSvc);
+    broker.createService(forecastSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+      expectedTypes: ['Review', 'Shipment', 'Forecast'],
+    });
+
+    return gateway.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should key relation definitions by the extended type', () => {
+    expect(gateway.relationDefinitions.Review).toEqual({
+      Author: {
+        reviews: { type: 'query', operationName: 'reviewsOfAuthor', args: { authorId: 'parent.id' } },
+      },
+      Book: {
+        reviews: { type: 'query', operationName: 'reviewsOfBook', args: { bookId: 'parent.id' } },
+      },
+    });
+  });
+
+  test('Should read batch definitions from the directive', () => {
+    expect(gateway.relationDefinitions.Book.Book.chapters.batch).toEqual({
+      operationName: 'chaptersByBookIds',
+      argName: 'bookIds',
+      parentKey: 'parent.id',
+      key: 'bookId',
+    });
+  });
+
+  test('Should strip the directive from the stitched schema', () => {
+    expect(gateway.relationships.Review).not.toMatch('@relation');
+  });
+
+  test('Should resolve same named relationships on different types', async () => {
+    const { data, errors } = await gateway.execute({
+      query: '{ author(id: 1) { reviews { id } }, book(id: 1) { reviews { id } } }',
+    });
+    expect(errors).toBeUndefined();
+    expect(data.author.reviews).toEqual([{ id: 1 }]);
+    expect(data.book.reviews).toEqual([{ id: 2 }, { id: 3 }]);
+  });
+
+  test('Should fetch the nested parent fields a relationship depends on', async () => {
+    const { data, errors } = await gateway.execute({
+      query: '{ shipment(id: 1) { id, forecast { zip, summary } } }',
+    });
+    expect(errors).toBeUndefined();
+    expect(data.shipment).toEqual({ id: 1, forecast: { zip: 4401, summary: 'Snow' } });
+  });
+
+  test('Should leave out services with a malformed directive', async () => {
+    const invalidBroker = new ServiceBroker({ nodeID: 'gatewayInvalidDirective' });
+    invalidBroker.createService(authorSvc);
+    invalidBroker.createService(bookSvc);
+    invalidBroker.createService(chapterSvc);
+    invalidBroker.createService(ratingSvc);
+    const errorSpy = jest.spyOn(invalidBroker.logger, 'error');
+    await invalidBroker.start();
+    const invalidGateway = new GraphQLGateway({ broker: invalidBroker, expectedTypes: ['Book'] });
+    try {
+      await invalidGateway.start();
+      expect(errorSpy).toHaveBeenCalledWith('The Rating service was not stitched: @relation on Book.rating must name either a query or a mutation');
+      expect(invalidGateway.discoveredTypes.Rating).toBeUndefined();
+      const { data, errors } = await invalidGateway.execute({ query: '{ book(id: 1) { id } }' });
+      expect(errors).toBeUndefined();
+      expect(data.book).toEqual({ id: 1 });
+    } finally {
+      errorSpy.mockRestore();
+      await invalidBroker.stop();
+    }
+  });
+
+  test('Should keep supporting relationDefinitions objects', async () => {
+    const { data } = await gateway.execute({
+      query: '{ author(id: 1) { books { id } }, book(id: 1) { author { id } } }',
+    });
+    expect(data.author.books.length).toBeGreaterThan(0);
+    expect(data.book.author).toEqual({ id: 1 });
+  });
+});
@@ -0,0 +1,196 @@
+import { createGraphqlMixin } from '..';
+import { createGateway } from './helpers';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const reviewSvc = {
+  name: 'Review',
+  mixins: [createGraphqlMixin({
+    typeName: 'Review',
+    schema: `
+      type Review {
+        id: Int,
+        bookId: Int,
+        text: String,
+      }
+
+      type Query {
+        reviewsOfBook(bookId: Int!): [Review],
+        reviewsOfAuthor(authorId: Int!, first: Int!): [Review],
+        reviewsOfBooks(bookIds: [Int]): [Review],
+      }
+    `,
+    resolvers: {
+      Query: {
+        reviewsOfBook: () => [],
+        reviewsOfAuthor: () => [],
+        reviewsOfBooks: () => [],
+      },
+    },
+    relationships: `
+      extend type Book {
+        reviews: [Review],
+        featuredReview: Review,
+      }
+
+      extend type Author {
+        reviewsAbout: [Review],
+      }
+    `,
+    relationDefinitions: {
+      reviews: {
+        type: 'query',
+        operationName: 'reviewsOfBok',
+        args: { bookId: 'parent.id' },
+      },
+      featuredReview: {
+        type: 'query',
+        operationName: 'reviewsOfBook',
+        args: { bookId: 'parent.id' },
+        batch: {
+          operationName: 'reviewsOfBooks',
+          argName: 'bookIds',
+          parentKey: 'parent.id',
+          key: 'bookID',
+        },
+      },
+      reviewsAbout: {
+        type: 'query',
+        operationName: 'reviewsOfAuthor',
+        args: { authorID: 'parent.id' },
+      },
+    },
+  })],
+};
+
+const shelfSvc = {
+  name: 'Shelf',
+  mixins: [createGraphqlMixin({
+    typeName: 'Shelf',
+    schema: `
+      type Shelf {
+        id: Int,
+      }
+
+      type Query {
+        shelves: [Shelf],
+      }
+    `,
+    resolvers: {
+      Query: {
+        shelves: () => [],
+      },
+    },
+    relationships: `
+      extend type Author {
+        bookPage(first: Int, after: String, genre: String): BookConnection @relation(
+          query: "book",
+          args: { id: "parent.id" },
+          forwardArgs: ["genre", "year"],
+          connection: true,
+          paginate: { offsetArg: "offset", limitArg: "limit", countQuery: "books" },
+        ),
+      }
+    `,
+  })],
+};
+
+describe('Relationship Validation', () => {
+  const brokers = [];
+
+  const setup = async (...args) => {
+    const setupResult = await createGateway(...args);
+    brokers.push(setupResult.broker);
+    return setupResult;
+  };
+
+  afterAll(() => Promise.all(brokers.map(broker => broker.stop())));
+
+  test('Should accept valid relation definitions', async () => {
+    const { gateway } = await setup('gatewayValidRelations', [authorSvc, bookSvc, chapterSvc]);
+    await gateway.start();
+    expect(gateway.relationshipErrors).toEqual([]);
+  });
+
+  test('Should report invalid relation definitions with their service and field', async () => {
+    const { broker, gateway } = await setup(
+      'gatewayInvalidRelations',
+      [authorSvc, bookSvc, chapterSvc, reviewSvc],
+      { expectedTypes: ['Review'] },
+    );
+    const warnSpy = jest.spyOn(broker.logger, 'warn');
+    await gateway.start();
+
+    expect(gateway.relationshipErrors).toEqual([
+      { service: 'Review', type: 'Book', field: 'reviews', message: 'query field reviewsOfBok does not exist' },
+      {
+        service: 'Review',
+        type: 'Book',
+        field: 'featuredReview',
+        message: 'returns Review but query field reviewsOfBook returns [Review]',
+      },
+      {
+        service: 'Review',
+        type: 'Book',
+        field: 'featuredReview',
+        message: 'batch key bookID is not a field of Review',
+      },
+      {
+        service: 'Review',
+        type: 'Author',
+        field: 'reviewsAbout',
+        message: 'query field reviewsOfAuthor has no authorID argument',
+      },
+      {
+        service: 'Review',
+        type: 'Author',
+        field: 'reviewsAbout',
+        message: 'required argument authorId of query field reviewsOfAuthor is not passed',
+      },
+      {
+        service: 'Review',
+        type: 'Author',
+        field: 'reviewsAbout',
+        message: 'required argument first of query field reviewsOfAuthor is not passed',
+      },
+    ]);
+    expect(warnSpy).toHaveBeenCalledWith(
+      'Invalid relationship Book.reviews of the Review service: query field reviewsOfBok does not exist'
+    );
+    warnSpy.mockRestore();
+    // The schema is still published outside of strict mode
+    expect(gateway.schema.getType('Book').getFields().reviews).toBeDefined();
+  });
+
+  test('Should check forwarded arguments and connections', async () => {
+    const { gateway } = await setup(
+      'gatewayConnectionRelations',
+      [authorSvc, bookSvc, chapterSvc, shelfSvc],
+      { expectedTypes: ['Shelf'] },
+    );
+    await gateway.start();
+    expect(gateway.relationshipErrors.map(({ field, message }) => `${field} ${message}`)).toEqual([
+      'bookPage forwarded argument year is not an argument of the field',
+      'bookPage query field book has no genre argument',
+      'bookPage query field book has no year argument',
+      'bookPage is a connection of Book but query field book returns Book',
+      'bookPage query field book has no offset argument',
+      'bookPage query field book has no limit argument',
+      'bookPage count query field books returns [Book] instead of Int',
+    ]);
+  });
+
+  test('Should refuse to publish the schema in strict mode', async () => {
+    const { gateway } = await setup(
+      'gatewayStrictRelations',
+      [authorSvc, bookSvc, chapterSvc, reviewSvc],
+      { expectedTypes: ['Review'], strictRelationships: true },
+    );
+    const error = await gateway.start().catch(err => err);
+    expect(error.message).toMatch(/^Schema has invalid relationships: Book\.reviews query field reviewsOfBok does not exist\./);
+    expect(gateway.schema).toBeNull();
+  });
+});
@@ -0,0 +1,135 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+
+jest.setTimeout(10000);
+
+const products = [
+  { id: 1, name: 'Lamp' },
+  { id: 2, name: 'Desk' },
+];
+
+const catalogSvc = {
+  name: 'catalog',
+  mixins: [createGraphqlMixin({
+    typeName: 'Product',
+    schema: `
+      type Product {
+        id: Int,
+        name: String,
+      }
+
+      type Query {
+        products: [Product],
+        product(id: Int!): Product,
+      }
+
+      type Mutation {
+        renameProduct(id: Int!, name: String!): Product,
+      }
+    `,
+    resolvers: {
+      Query: {
+        products: () => products,
+        product: (_, { id }) => products.find(product => product.id === id),
+      },
+      Mutation: {
+        renameProduct: (_, { id, name }) => {
+          const product = products.find(item => item.id === id);
+          product.name = name;
+          return product;
+        },
+      },
+    },
+    cacheControl: {
+      hints: {
+        Query: {
+          products: { maxAge: 60 },
+        },
+      },
+      invalidateOn: ['product.updated'],
+    },
+  })],
+};
+
+const waitFor = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Response Caching', () => {
+  let broker;
+  let gateway;
+  let callSpy;
+
+  const countCalls = () => callSpy.mock.calls.filter(([name]) => name === 'catalog.graphql').length;
+  const query = (source, meta) => broker.call('gateway.graphql', { query: source }, { meta });
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewayCache',
+      cacher: 'Memory',
+    });
+
+    broker.createService(catalogSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+      cache: { metaKeys: ['tenant'] },
+    });
+
+    callSpy = jest.spyOn(broker, 'call');
+
+    return gateway.start().then(() => gateway.eventService);
+  });
+
+  beforeEach(() => {
+    callSpy.mockClear();
+    return broker.cacher.clean();
+  });
+
+  afterAll(() => {
+    callSpy.mockRestore();
+    return broker.stop();
+  });
+
+  test('Should require a cacher on the broker', () => {
+    const uncachedBroker = new ServiceBroker({ nodeID: 'gatewayNoCacher' });
+    expect(() => new GraphQLGateway({ broker: uncachedBroker, cache: true }))
+      .toThrow('Caching requires a cacher to be configured on the broker');
+  });
+
+  test('Should answer repeated queries from the cache', async () => {
+    const first = await query('{ products { name } }');
+    const second = await query('{ products { name } }');
+    expect(second).toEqual(first);
+    expect(countCalls()).toBe(1);
+  });
+
+  test('Should key cached results by the selected meta fields', async () => {
+    await query('{ products { name } }', { tenant: 'a' });
+    await query('{ products { name } }', { tenant: 'a', user: 'brad' });
+    await query('{ products { name } }', { tenant: 'b' });
+    expect(countCalls()).toBe(2);
+  });
+
+  test('Should not cache fields without a max age', async () => {
+    await query('{ product(id: 1) { name } }');
+    await query('{ product(id: 1) { name } }');
+    expect(countCalls()).toBe(2);
+  });
+
+  test('Should invalidate the cached results of a service on mutations', async () => {
+    await query('{ products { name } }');
+    await query('mutation { renameProduct(id: 1, name: "Floor Lamp") { name } }');
+    const { data } = await query('{ products { name } }');
+    expect(data.products[0].name).toBe('Floor Lamp');
+    expect(countCalls()).toBe(3);
+  });
+
+  test('Should invalidate the cached results of a service on events', async () => {
+    await query('{ products { name } }');
+    broker.emit('product.updated', { id: 2 });
+    await waitFor(50);
+    await query('{ products { name } }');
+    expect(countCalls()).toBe(2);
+  });
+});
@@ -0,0 +1,162 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { printSchema } from 'graphql';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+import { createBroker } from './helpers';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const waitFor = promisify(setTimeout);
+
+const publisherSvc = {
+  name: 'Publisher',
+  mixins: [createGraphqlMixin({
+    typeName: 'Publisher',
+    schema: `
+      type Publisher {
+        id: Int,
+        name: String,
+      }
+
+      type Query {
+        publishers: [Publisher],
+      }
+    `,
+    resolvers: {
+      Query: {
+        publishers: () => [],
+      },
+    },
+  })],
+};
+
+const createListeningBroker = (nodeID, onSchemaChanged) => {
+  const broker = createBroker(nodeID, [authorSvc, bookSvc, chapterSvc, {
+    name: 'schemaListener',
+    events: {
+      'gateway.schema.changed': onSchemaChanged,
+    },
+  }]);
+  broker.start();
+  return broker;
+};
+
+describe('Schema Changes', () => {
+  describe('Rejecting Breaking Changes', () => {
+    let broker;
+    let gateway;
+    const onSchemaChanged = jest.fn();
+
+    beforeAll(() => {
+      broker = createListeningBroker('gatewayRejectChanges', onSchemaChanged);
+      gateway = new GraphQLGateway({
+        broker,
+        rejectBreakingChanges: true,
+      });
+      return gateway.start();
+    });
+
+    afterAll(() => broker.stop());
+
+    beforeEach(() => onSchemaChanged.mockReset());
+
+    test('Should adopt a schema with safe changes', async () => {
+      broker.createService(publisherSvc);
+      await waitFor(100);
+
+      expect(gateway.schema.getType('Publisher')).toBeDefined();
+      expect(onSchemaChanged).toHaveBeenCalledTimes(1);
+      const diff = onSchemaChanged.mock.calls[0][0];
+      expect(diff.adopted).toBe(true);
+      expect(diff.breaking).toEqual([]);
+      expect(diff.safe).toContainEqual({ type: 'TYPE_ADDED', description: 'Publisher was added.' });
+      expect(diff.safe).toContainEqual({ type: 'FIELD_ADDED', description: 'Query.publishers was added.' });
+    });
+
+    test('Should keep the current schema when the new one has breaking changes', async () => {
+      await broker.destroyService(broker.getLocalService('Chapter'));
+      await waitFor(100);
+
+      // The state the kept schema was stitched from is kept along with it
+      expect(gateway.discoveredTypes.Chapter).toBe('Chapter');
+      expect(gateway.remoteSchemas.Chapter).toBeDefined();
+      expect(gateway.schema.getType('Chapter')).toBeDefined();
+      expect(gateway.schema.getType('Book').getFields().chapters).toBeDefined();
+      expect(onSchemaChanged).toHaveBeenCalledTimes(1);
+      const diff = onSchemaChanged.mock.calls[0][0];
+      expect(diff.adopted).toBe(false);
+      expect(diff.breaking).toContainEqual({ type: 'TYPE_REMOVED', description: 'Chapter was removed.' });
+    });
+  });
+
+  describe('Accepting Breaking Changes', () => {
+    let broker;
+    let gateway;
+    const onSchemaChanged = jest.fn();
+
+    beforeAll(() => {
+      broker = createListeningBroker('gatewayAcceptChanges', onSchemaChanged);
+      gateway = new GraphQLGateway({
+        broker,
+      });
+      return gateway.start();
+    });
+
+    afterAll(() => broker.stop());
+
+    test('Should adopt the new schema and report its breaking changes', async () => {
+      await broker.destroyService(broker.getLocalService('Chapter'));
+      await waitFor(100);
+
+      expect(gateway.schema.getType('Chapter')).toBeUndefined();
+      const diff = onSchemaChanged.mock.calls[0][0];
+      expect(diff.adopted).toBe(true);
+      expect(diff.breaking).toContainEqual({ type: 'FIELD_REMOVED', description: 'Book.chapters was removed.' });
+    });
+  });
+
+  describe('Comparing With The Snapshot', () => {
+    const snapshotPath = path.join(os.tmpdir(), `moleculer-graphql-${process.pid}.graphql`);
+    let broker;
+
+    beforeAll(() => {
+      broker = createListeningBroker('gatewaySnapshotChanges', jest.fn());
+    });
+
+    afterAll(() => {
+      if (fs.existsSync(snapshotPath)) fs.unlinkSync(snapshotPath);
+      return broker.stop();
+    });
+
+    test('Should record a snapshot once the gateway is started', async () => {
+      const gateway = new GraphQLGateway({
+        broker,
+        generateSnapshot: true,
+        snapshotPath,
+      });
+      await gateway.start();
+      expect(fs.readFileSync(snapshotPath, 'utf8')).toBe(printSchema(gateway.schema));
+      await broker.destroyService(gateway.service);
+    });
+
+    test('Should refuse to start when the schema breaks the recorded snapshot', async () => {
+      fs.writeFileSync(snapshotPath, `${fs.readFileSync(snapshotPath, 'utf8')}
+        type Publisher {
+          id: Int
+        }
+      `);
+      const gateway = new GraphQLGateway({
+        broker,
+        generateSnapshot: true,
+        rejectBreakingChanges: true,
+        snapshotPath,
+      });
+      await expect(gateway.start()).rejects.toHaveProperty('message', 'Schema has breaking changes: Publisher was removed.');
+    });
+  });
+});
@@ -0,0 +1,245 @@
+import { createGraphqlMixin } from '..';
+import { resolveConflicts } from '../src/Gateway/schemaConflicts';
+import { startGateway } from './helpers';
+
+jest.setTimeout(10000);
+
+const money = `
+  type Money {
+    amount: Float,
+    currency: String,
+  }
+`;
+
+const inventorySvc = {
+  name: 'Inventory',
+  mixins: [createGraphqlMixin({
+    typeName: 'Item',
+    schema: `
+      type Item {
+        id: Int,
+        price: Money,
+      }
+      ${money}
+      type PageInfo {
+        hasNextPage: Boolean,
+      }
+
+      type Query {
+        items: [Item],
+        search(text: String): [Item],
+        inventoryPage: PageInfo,
+      }
+    `,
+    resolvers: {
+      Query: {
+        items: () => [{ id: 1, price: { amount: 10, currency: 'USD' } }],
+        search: () => [{ id: 1 }],
+        inventoryPage: () => ({ hasNextPage: false }),
+      },
+    },
+  })],
+};
+
+const catalogSvc = {
+  name: 'Catalog',
+  mixins: [createGraphqlMixin({
+    typeName: 'Product',
+    schema: `
+      type Product {
+        id: Int,
+        price: Money,
+      }
+      ${money}
+      type PageInfo {
+        hasNextPage: Boolean,
+        endCursor: String,
+      }
+
+      type Query {
+        products: [Product],
+        search(text: String): [Product],
+        catalogPage: PageInfo,
+      }
+    `,
+    resolvers: {
+      Query: {
+        products: () => [{ id: 2, price: { amount: 20, currency: 'EUR' } }],
+        search: () => [{ id: 2 }],
+        catalogPage: () => ({ hasNextPage: true, endCursor: 'abc' }),
+      },
+    },
+  })],
+};
+
+const shopSvc = {
+  name: 'Shop',
+  mixins: [createGraphqlMixin({
+    typeName: 'Item',
+    schema: `
+      type Item {
+        id: Int,
+        name: String,
+        secret: String,
+      }
+
+      type Query {
+        items: [Item],
+        lookup(name: String): String,
+      }
+    `,
+    resolvers: {
+      Query: {
+        items: () => [{ id: 1, name: 'lamp', secret: 'public' }],
+        lookup: () => 'shop',
+      },
+    },
+  })],
+};
+
+const stockSvc = {
+  name: 'Stock',
+  mixins: [createGraphqlMixin({
+    typeName: 'Stock',
+    schema: `
+      type Stock {
+        id: Int,
+      }
+
+      type Item {
+        id: Int,
+        secret: String @auth(requires: ["admin"]),
+      }
+
+      type Query {
+        stock: Item,
+        lookup(sku: String): String @hasScope(scope: "stock:read"),
+      }
+    `,
+    resolvers: {
+      Query: {
+        stock: () => ({ id: 2, secret: 'hidden' }),
+        lookup: () => 'stock',
+      },
+    },
+  })],
+};
+
+const getResolutions = onSchemaConflict => onSchemaConflict.mock.calls[0][0]
+  .map(({ name, resolution }) => `${name} ${resolution}`);
+
+describe('Schema Conflicts', () => {
+  const brokers = [];
+
+  const setup = async (nodeID, gatewayOptions, services = [inventorySvc, catalogSvc]) => {
+    const onSchemaConflict = jest.fn();
+    const setupResult = await startGateway(nodeID, services, { onSchemaConflict, ...gatewayOptions });
+    brokers.push(setupResult.broker);
+    return { ...setupResult, onSchemaConflict };
+  };
+
+  afterAll(() => Promise.all(brokers.map(broker => broker.stop())));
+
+  test('Should share identical types and refuse services with differing ones by default', async () => {
+    const { broker, gateway, onSchemaConflict } = await setup('gatewayConflictsDefault');
+    const errorSpy = jest.spyOn(broker.logger, 'error');
+    // Refused services aren't retried while their schema stays the same
+    await gateway.handleServiceUpdate();
+    expect(errorSpy).not.toHaveBeenCalled();
+    errorSpy.mockRestore();
+
+    expect(onSchemaConflict).toHaveBeenCalledTimes(1);
+    expect(onSchemaConflict.mock.calls[0][1].name).toBe('Catalog');
+    expect(getResolutions(onSchemaConflict)).toEqual([
+      'Money accepted',
+      'PageInfo rejected',
+      'Query.search rejected',
+    ]);
+    expect(gateway.discoveredTypes.Product).toBeUndefined();
+    expect(gateway.schema.getQueryType().getFields().products).toBeUndefined();
+  });
+
+  test('Should refuse services with any conflict under the fail strategy', async () => {
+    const { gateway, onSchemaConflict } = await setup('gatewayConflictsFail', {
+      conflictStrategy: 'fail',
+    });
+    expect(getResolutions(onSchemaConflict)).toEqual([
+      'Money rejected',
+      'PageInfo rejected',
+      'Query.search rejected',
+    ]);
+    expect(gateway.schema.getType('Product')).toBeUndefined();
+  });
+
+  test('Should prefix differing definitions under the prefix strategy', async () => {
+    const { gateway, onSchemaConflict } = await setup('gatewayConflictsPrefix', {
+      conflictStrategy: 'prefix',
+    });
+    expect(onSchemaConflict.mock.calls[0][0].map(({ renamedTo }) => renamedTo)).toEqual([
+      undefined,
+      'CatalogPageInfo',
+      'Query.catalogSearch',
+    ]);
+
+    const { data, errors } = await gateway.execute({
+      query: `{
+        search(text: "lamp") { id }
+        catalogSearch(text: "lamp") { id }
+        inventoryPage { hasNextPage }
+        catalogPage { __typename, hasNextPage, endCursor }
+        products { price { amount, currency } }
+      }`,
+    });
+    expect(errors).toBeUndefined();
+    expect(data).toEqual({
+      search: [{ id: 1 }],
+      catalogSearch: [{ id: 2 }],
+      inventoryPage: { hasNextPage: false },
+      catalogPage: { __typename: 'CatalogPageInfo', hasNextPage: true, endCursor: 'abc' },
+      products: [{ price: { amount: 20, currency: 'EUR' } }],
+    });
+  });
+
+  test('Should keep the auth rules of prefixed types and root fields', async () => {
+    const { broker } = await setup('gatewayConflictsAuth', {
+      conflictStrategy: 'prefix',
+    }, [shopSvc, stockSvc]);
+    const query = (source, user) => broker.call('gateway.graphql', { query: source }, { meta: { user } });
+
+    const anonymous = await query('{ stock { id, secret }, stockLookup(sku: "lamp") }');
+    expect(anonymous.data).toEqual({ stock: { id: 2, secret: null }, stockLookup: null });
+    expect(anonymous.errors.map(({ message }) => message)).toEqual([
+      'Not authorized to access Query.stockLookup',
+      'Not authorized to access StockItem.secret',
+    ]);
+
+    const admin = await query('{ stock { secret }, stockLookup(sku: "lamp") }', { roles: ['admin'], scopes: ['stock:read'] });
+    expect(admin.errors).toBeUndefined();
+    expect(admin.data).toEqual({ stock: { secret: 'hidden' }, stockLookup: 'stock' });
+
+    // The type the prefixed one was renamed away from keeps its own rules
+    const shop = await query('{ items { secret }, lookup(name: "lamp") }');
+    expect(shop.errors).toBeUndefined();
+    expect(shop.data).toEqual({ items: [{ secret: 'public' }], lookup: 'shop' });
+  });
+
+  test('Should build valid prefixes from any service name', async () => {
+    const { gateway, onSchemaConflict } = await setup('gatewayConflictsServiceName', {
+      conflictStrategy: 'prefix',
+    }, [inventorySvc, { ...catalogSvc, name: 'catalog-service' }]);
+    expect(onSchemaConflict.mock.calls[0][0].map(({ renamedTo }) => renamedTo)).toEqual([
+      undefined,
+      'CatalogServicePageInfo',
+      'Query.catalogServiceSearch',
+    ]);
+    const { data } = await gateway.execute({ query: '{ catalogServiceSearch(text: "lamp") { id } }' });
+    expect(data.catalogServiceSearch).toEqual([{ id: 2 }]);
+
+    const [typeConflict, fieldConflict] = resolveConflicts([
+      { kind: 'type', name: 'PageInfo', conflictingService: 'v2.books' },
+      { kind: 'field', name: 'Query.search', conflictingService: '2-books' },
+    ], 'prefix');
+    expect(typeConflict.renamedTo).toBe('V2BooksPageInfo');
+    expect(fieldConflict.renamedTo).toBe('Query._2BooksSearch');
+  });
+});
@@ -1,6 +1,7 @@
 import { ServiceBroker, Transporters } from 'moleculer';
 import { printSchema } from 'graphql';
 import { GraphQLGateway } from '..';
+import { hashSchema } from '../src/Gateway/utilities';
 import authorSvc from './types/Author';
 import bookSvc from './types/Book';
 import chapterSvc from './types/chapter';
@@ -95,4 +96,56 @@ describe('Schema Generation', () => {
       expect(printSchema(gateway.schema)).toMatchSnapshot();
     });
   });
+
+  describe('From Broadcast Schemas', () => {
+    let broker = null;
+    let gateway = null;
+    let callSpy = null;
+
+    beforeAll(() => {
+      broker = new ServiceBroker({
+        nodeID: 'gatewaySdl',
+      });
+
+      broker.createService(authorSvc);
+      broker.createService({
+        ...bookSvc,
+        // Services that do not publish their SDL are introspected instead
+        settings: { schema: null, schemaHash: null },
+      });
+      broker.createService(chapterSvc);
+
+      callSpy = jest.spyOn(broker, 'call');
+
+      broker.start();
+
+      gateway = new GraphQLGateway({
+        broker,
+      });
+
+      return gateway.start();
+    });
+
+    afterAll(() => {
+      callSpy.mockRestore();
+      return broker.stop();
+    });
+
+    test('Should build remote schemas without calling services that publish their schema', () => {
+      const calledActions = callSpy.mock.calls.map(([actionName]) => actionName);
+      expect(calledActions).not.toContain('Author.graphql');
+      expect(calledActions).not.toContain('Chapter.graphql');
+      expect(calledActions).toContain('Book.graphql');
+    });
+
+    test('Should record the hash of each remote schema', () => {
+      const authorService = broker.getLocalService('Author');
+      expect(gateway.schemaHashes.Author).toBe(hashSchema(authorService.settings.schema));
+      expect(gateway.schemaHashes.Book).toEqual(expect.any(String));
+    });
+
+    test('Should generate the same schema as introspection', () => {
+      expect(printSchema(gateway.schema)).toMatchSnapshot();
+    });
+  });
 });
@@ -0,0 +1,135 @@
+import { promisify } from 'util';
+import { GraphQLGateway, createGraphqlMixin } from '..';
+import { createRemoteBroker } from './helpers';
+
+const waitFor = promisify(setTimeout);
+
+// Each version of the service reports the version that answered
+const createGadgetSvc = (version, fields = '') => ({
+  name: 'Gadget',
+  mixins: [createGraphqlMixin({
+    typeName: 'Gadget',
+    schema: `
+      type Gadget {
+        id: Int,
+        version: String,${fields}
+      }
+
+      type Query {
+        gadget(id: Int!): Gadget,
+      }
+    `,
+    resolvers: {
+      Query: {
+        gadget: (_, { id }) => ({ id, version, color: 'red' }),
+      },
+    },
+  })],
+});
+
+describe('Schema Versioning', () => {
+  const namespace = 'schemaVersioning';
+  let broker;
+  let v1Broker;
+  let v1RestartedBroker;
+  let v2Broker;
+  let gateway;
+
+  beforeAll(async () => {
+    broker = createRemoteBroker('gateway', namespace);
+    v1Broker = createRemoteBroker('gadgetV1', namespace, [createGadgetSvc('v1')]);
+    v2Broker = createRemoteBroker('gadgetV2', namespace, [createGadgetSvc('v2', '\n        color: String,')]);
+    v1RestartedBroker = createRemoteBroker('gadgetV1Restarted', namespace, [createGadgetSvc('v1')]);
+    await broker.start();
+    gateway = new GraphQLGateway({ broker, expectedTypes: ['Gadget'] });
+    await v1Broker.start();
+    await gateway.start();
+  });
+
+  afterAll(() => Promise.all([broker.stop(), v1Broker.stop(), v1RestartedBroker.stop(), v2Broker.stop()]));
+
+  const queryVersions = async (query, times = 10) => {
+    const versions = new Set();
+    for (let i = 0; i < times; i++) {
+      const { data } = await gateway.execute({ query });
+      versions.add(data.gadget.version);
+    }
+    return Array.from(versions);
+  };
+
+  test('Should stitch the schema of the first version', () => {
+    expect(gateway.schema.getType('Gadget').getFields().color).toBeUndefined();
+  });
+
+  test('Should rebuild the schema when a new version of a type appears', async () => {
+    const previousHash = gateway.schemaHashes.Gadget;
+    await v2Broker.start();
+    await waitFor(500);
+
+    expect(gateway.schemaHashes.Gadget).not.toBe(previousHash);
+    expect(gateway.schema.getType('Gadget').getFields().color).toBeDefined();
+  });
+
+  test('Should only route calls to nodes serving the stitched version', async () => {
+    expect(await queryVersions('{ gadget(id: 1) { version, color } }')).toEqual(['v2']);
+  });
+
+  test('Should keep the newest version when an instance of an older one starts', async () => {
+    const stitchedHash = gateway.schemaHashes.Gadget;
+    await v1RestartedBroker.start();
+    await waitFor(500);
+
+    expect(gateway.schemaHashes.Gadget).toBe(stitchedHash);
+    expect(gateway.schema.getType('Gadget').getFields().color).toBeDefined();
+    expect(await queryVersions('{ gadget(id: 1) { version, color } }')).toEqual(['v2']);
+  });
+
+  test('Should order schemas by their declared versions', () => {
+    const older = { schemaHash: gateway.schemaHashes.Gadget, schemaVersion: 1 };
+    const newer = { schemaHash: 'unseen', schemaVersion: 2 };
+    expect(gateway.compareSchemas('Gadget', newer, older)).toBeGreaterThan(0);
+    expect(gateway.compareSchemas('Gadget', older, newer)).toBeLessThan(0);
+  });
+
+  test('Should rebuild from the remaining instances when the stitched version goes away', async () => {
+    await v2Broker.stop();
+    await waitFor(500);
+
+    expect(gateway.schema.getType('Gadget').getFields().color).toBeUndefined();
+    expect(await queryVersions('{ gadget(id: 1) { version } }')).toEqual(['v1']);
+  });
+});
+
+describe('Rejecting Breaking Versions', () => {
+  const namespace = 'schemaVersioningRejected';
+  let broker;
+  let v1Broker;
+  let v2Broker;
+  let gateway;
+
+  beforeAll(async () => {
+    broker = createRemoteBroker('gateway', namespace);
+    v1Broker = createRemoteBroker('gadgetV1', namespace, [createGadgetSvc('v1', '\n        color: String,')]);
+    v2Broker = createRemoteBroker('gadgetV2', namespace, [createGadgetSvc('v2')]);
+    await broker.start();
+    gateway = new GraphQLGateway({ broker, expectedTypes: ['Gadget'], rejectBreakingChanges: true });
+    await v1Broker.start();
+    await gateway.start();
+  });
+
+  afterAll(() => Promise.all([broker.stop(), v1Broker.stop(), v2Broker.stop()]));
+
+  test('Should keep resolving queries against the kept schema', async () => {
+    const stitchedHash = gateway.schemaHashes.Gadget;
+    await v2Broker.start();
+    await waitFor(500);
+
+    expect(gateway.schemaHashes.Gadget).toBe(stitchedHash);
+    expect(gateway.schema.getType('Gadget').getFields().color).toBeDefined();
+    for (let i = 0; i < 10; i++) {
+      const { data, errors } = await gateway.execute({ query: '{ gadget(id: 1) { version, color } }' });
+      expect(errors).toBeUndefined();
+      expect(data.gadget).toEqual({ version: 'v1', color: 'red' });
+    }
+  });
+});
@@ -1,7 +1,7 @@
-import { ServiceBroker, Transporters } from 'moleculer';
 import { graphql as execute, printSchema } from 'graphql';
 import { promisify } from 'util';
 import { GraphQLGateway } from '..';
+import { createBroker, createRemoteBroker } from './helpers';
 import authorSvc from './types/Author';
 import bookSvc from './types/Book';
 import chapterSvc from './types/chapter';
@@ -9,6 +9,7 @@ import chapterSvc from './types/chapter';
 const waitFor = promisify(setTimeout);
 
 describe('Service Discovery', () => {
+  const namespace = 'serviceDiscovery';
   let broker;
   let authorBroker;
   let bookBroker;
@@ -18,11 +19,7 @@ describe('Service Discovery', () => {
   let handleNodeConnectionSpy;
 
   beforeAll(() => {
-    broker = new ServiceBroker({
-      nodeID: 'gateway',
-      namespace: 'serviceDiscovery',
-      transporter: new Transporters.MQTT('mqtt://localhost:1883'),
-    });
+    broker = createRemoteBroker('gateway', namespace);
 
     broker.start();
 
@@ -33,27 +30,9 @@ describe('Service Discovery', () => {
       onServiceDiscovery,
     });
 
-    authorBroker = new ServiceBroker({
-      nodeID: 'author',
-      namespace: 'serviceDiscovery',
-      transporter: new Transporters.MQTT('mqtt://localhost:1883'),
-    });
-
-    bookBroker = new ServiceBroker({
-      nodeID: 'book',
-      namespace: 'serviceDiscovery',
-      transporter: new Transporters.MQTT('mqtt://localhost:1883'),
-    });
-
-    chapterBroker = new ServiceBroker({
-      nodeID: 'chapter',
-      namespace: 'serviceDiscovery',
-      transporter: new Transporters.MQTT('mqtt://localhost:1883'),
-    });
-
-    authorBroker.createService(authorSvc);
-    bookBroker.createService(bookSvc);
-    chapterBroker.createService(chapterSvc);
+    authorBroker = createRemoteBroker('author', namespace, [authorSvc]);
+    bookBroker = createRemoteBroker('book', namespace, [bookSvc]);
+    chapterBroker = createRemoteBroker('chapter', namespace, [chapterSvc]);
   });
 
   afterAll(() => {
@@ -79,14 +58,15 @@ describe('Service Discovery', () => {
   });
 
   test('Should fail if all required services cannot be found within the timeout', async () => {
-    const testBroker = new ServiceBroker({
-      nodeID: 'test',
-    });
+    const testBroker = createBroker('test');
     const g = new GraphQLGateway({
       broker: testBroker,
       waitTimeout: 300,
     });
-    await expect(g.start()).rejects.toHaveProperty('message', 'Timeout');
+    await expect(g.start()).rejects.toHaveProperty(
+      'message',
+      'Timed out waiting for GraphQL services to be discovered',
+    );
   });
 
   test('Starting gateway up should wait for necessary types before producing a schema', (done) => {
@@ -100,4 +80,28 @@ describe('Service Discovery', () => {
     bookBroker.start();
     chapterBroker.start();
   });
+
+  test('Stopping the last instance of a type should remove it from the schema', async () => {
+    await chapterBroker.stop();
+    await waitFor(500);
+
+    expect(gateway.discoveredTypes.Chapter).toBeUndefined();
+    expect(gateway.remoteSchemas.Chapter).toBeUndefined();
+    expect(gateway.relationships.Chapter).toBeUndefined();
+    expect(gateway.relationDefinitions.Chapter).toBeUndefined();
+    expect(gateway.schema.getType('Chapter')).toBeUndefined();
+    expect(gateway.schema.getType('Book').getFields().chapters).toBeUndefined();
+    expect(gateway.schema.getType('Book').getFields().author).toBeDefined();
+
+    const { data } = await execute(gateway.schema, '{ books { title, author { name } } }');
+    expect(data.books).toHaveLength(9);
+  });
+
+  test('Restarting a removed type should add it back to the schema', async () => {
+    await chapterBroker.start();
+    await waitFor(500);
+
+    expect(gateway.discoveredTypes.Chapter).toBeDefined();
+    expect(gateway.schema.getType('Book').getFields().chapters).toBeDefined();
+  });
 });
\ No newline at end of file
@@ -0,0 +1,92 @@
+import { createGateway } from './helpers';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+// A Chapter service that never answers
+const unresponsiveChapterSvc = {
+  ...chapterSvc,
+  actions: {
+    graphql: () => new Promise(() => {}),
+  },
+};
+
+const query = '{ book(id: 1) { title, chapters { title } } }';
+
+const setupGateway = async (nodeID, gatewayOptions) => {
+  const setupResult = await createGateway(nodeID, [authorSvc, bookSvc, unresponsiveChapterSvc], gatewayOptions);
+  const callSpy = jest.spyOn(setupResult.broker, 'call');
+  await setupResult.gateway.start();
+  return { ...setupResult, callSpy };
+};
+
+const countCalls = callSpy => callSpy.mock.calls.filter(([name]) => name === 'Chapter.graphql').length;
+
+describe('Service Failures', () => {
+  let timeoutSetup;
+  let fallbackSetup;
+  let breakerSetup;
+
+  beforeAll(async () => {
+    timeoutSetup = await setupGateway('gatewayTimeout', {
+      services: {
+        Chapter: { timeout: 100, retryCount: 1 },
+      },
+    });
+    fallbackSetup = await setupGateway('gatewayFallback', {
+      callOptions: { timeout: 100 },
+      services: {
+        Chapter: {
+          fallback: () => ({ data: null, errors: [{ message: 'Chapters are unavailable' }] }),
+        },
+      },
+    });
+    breakerSetup = await setupGateway('gatewayBreaker', {
+      services: {
+        Chapter: {
+          timeout: 100,
+          circuitBreaker: { maxFailures: 1, halfOpenTime: 60000 },
+        },
+      },
+    });
+  });
+
+  beforeEach(() => [timeoutSetup, fallbackSetup, breakerSetup]
+    .forEach(({ callSpy }) => callSpy.mockClear()));
+
+  afterAll(() => Promise.all([timeoutSetup, fallbackSetup, breakerSetup]
+    .map(({ broker }) => broker.stop())));
+
+  test('Should return the rest of the response when a relationship times out', async () => {
+    const { data, errors } = await timeoutSetup.gateway.execute({ query });
+    expect(data.book.title).toBeDefined();
+    expect(data.book.chapters).toBeNull();
+    expect(errors).toHaveLength(1);
+    expect(errors[0].message).toMatch('Request is timed out');
+    expect(errors[0].path).toEqual(['book', 'chapters']);
+    expect(errors[0].locations).toBeDefined();
+  });
+
+  test('Should retry calls that timed out', async () => {
+    await timeoutSetup.gateway.execute({ query });
+    expect(countCalls(timeoutSetup.callSpy)).toBe(2);
+  });
+
+  test('Should use the fallback of a failing service', async () => {
+    const { data, errors } = await fallbackSetup.gateway.execute({ query });
+    expect(data.book.title).toBeDefined();
+    expect(data.book.chapters).toBeNull();
+    expect(errors[0].message).toBe('Chapters are unavailable');
+    expect(errors[0].path).toEqual(['book', 'chapters']);
+  });
+
+  test('Should stop calling a service once its circuit breaker opens', async () => {
+    await breakerSetup.gateway.execute({ query });
+    const { data, errors } = await breakerSetup.gateway.execute({ query });
+    expect(countCalls(breakerSetup.callSpy)).toBe(1);
+    expect(data.book.title).toBeDefined();
+    expect(errors[0].message).toBe('Circuit breaker is open for the Chapter service');
+  });
+});
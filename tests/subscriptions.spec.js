@@ -0,0 +1,140 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+import * as dataSource from './types/data';
+
+jest.setTimeout(10000);
+
+describe('Subscriptions', () => {
+  let broker;
+  let gateway;
+
+  beforeAll(() => {
+    broker = new ServiceBroker({
+      nodeID: 'gatewaySubscriptions',
+    });
+
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+
+    broker.start();
+
+    gateway = new GraphQLGateway({
+      broker,
+    });
+
+    return gateway.start().then(() => gateway.eventService);
+  });
+
+  afterAll(() => broker.stop());
+
+  const newBook = {
+    id: 10,
+    title: 'Pet Sematary',
+    authorId: 1,
+    year: 1983,
+  };
+
+  test('Should stitch subscription fields into the schema', () => {
+    const subscriptionType = gateway.schema.getSubscriptionType();
+    expect(subscriptionType).toBeDefined();
+    expect(Object.keys(subscriptionType.getFields())).toEqual(['bookCreated']);
+  });
+
+  test('Should stream event payloads with relationships resolved', async () => {
+    const iterator = await gateway.subscribe({
+      query: `subscription {
+        bookCreated {
+          title
+          author {
+            name
+          }
+        }
+      }`,
+    });
+
+    broker.emit('book.created', newBook);
+
+    const { value } = await iterator.next();
+    expect(value).toEqual({
+      data: {
+        bookCreated: {
+          title: newBook.title,
+          author: { name: dataSource.authors[0].name },
+        },
+      },
+    });
+    await iterator.return();
+  });
+
+  test('Should stream aliased fields under their alias', async () => {
+    const iterator = await gateway.subscribe({
+      query: `subscription {
+        created: bookCreated {
+          name: title
+          id
+          ...bookAuthor
+        }
+      }
+
+      fragment bookAuthor on Book {
+        writer: author {
+          authorName: name
+        }
+      }`,
+    });
+
+    broker.emit('book.created', newBook);
+
+    const { value } = await iterator.next();
+    expect(value).toEqual({
+      data: {
+        created: {
+          name: newBook.title,
+          id: newBook.id,
+          writer: { authorName: dataSource.authors[0].name },
+        },
+      },
+    });
+    await iterator.return();
+  });
+
+  test('Should only stream payloads matching the subscription arguments', async () => {
+    const iterator = await gateway.subscribe({
+      query: `subscription {
+        bookCreated(authorId: 2) {
+          title
+        }
+      }`,
+    });
+
+    broker.emit('book.created', newBook);
+    broker.emit('book.created', { ...newBook, title: 'The Dreams in the Witch House', authorId: 2 });
+
+    const { value } = await iterator.next();
+    expect(value).toEqual({ data: { bookCreated: { title: 'The Dreams in the Witch House' } } });
+    await iterator.return();
+  });
+
+  test('Should not limit the number of subscriptions in progress', async () => {
+    const onWarning = jest.fn();
+    process.on('warning', onWarning);
+    const iterators = await Promise.all(Array.from({ length: 12 }, () => gateway.subscribe({
+      query: 'subscription { bookCreated { title } }',
+    })));
+    await new Promise(resolve => setImmediate(resolve));
+    process.removeListener('warning', onWarning);
+    expect(onWarning).not.toHaveBeenCalled();
+    await Promise.all(iterators.map(iterator => iterator.return()));
+  });
+
+  test('Should return validation errors instead of an iterator', async () => {
+    const result = await gateway.subscribe({
+      query: 'subscription { bookDeleted { title } }',
+    });
+    expect(result.errors).toHaveLength(1);
+  });
+});
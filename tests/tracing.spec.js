@@ -0,0 +1,99 @@
+import { ServiceBroker } from 'moleculer';
+import { GraphQLGateway } from '..';
+import authorSvc from './types/Author';
+import bookSvc from './types/Book';
+import chapterSvc from './types/chapter';
+
+jest.setTimeout(10000);
+
+const query = `
+  query {
+    author(id: 1) {
+      name
+      books {
+        title
+      }
+    }
+  }
+`;
+
+describe('Tracing', () => {
+  let broker;
+  let gateway;
+  const spans = [];
+
+  beforeAll(() => {
+    broker = new ServiceBroker({ nodeID: 'gatewayTracing' });
+    broker.createService(authorSvc);
+    broker.createService(bookSvc);
+    broker.createService(chapterSvc);
+    broker.createService({
+      name: 'tracingListener',
+      events: {
+        'gateway.tracing.span': span => spans.push(span),
+      },
+    });
+    broker.start();
+    gateway = new GraphQLGateway({ broker, tracing: true });
+    return gateway.start();
+  });
+
+  beforeEach(() => {
+    spans.length = 0;
+  });
+
+  afterAll(() => broker.stop());
+
+  test('Should report resolver timings from the mixin when asked', async () => {
+    const result = await broker.call('Author.graphql', {
+      query: '{ author(id: 1) { name } }',
+      extensions: { tracing: true },
+    });
+    const { version, duration, execution } = result.extensions.tracing;
+    expect(version).toBe(1);
+    expect(duration).toBeGreaterThan(0);
+    expect(execution.resolvers.map(({ path }) => path)).toEqual([['author'], ['author', 'name']]);
+    expect(execution.resolvers[0]).toMatchObject({
+      parentType: 'Query',
+      fieldName: 'author',
+      returnType: 'Author',
+    });
+  });
+
+  test('Should not report timings unless asked', async () => {
+    const result = await broker.call('Author.graphql', { query: '{ author(id: 1) { name } }' });
+    expect(result.extensions).toBeUndefined();
+  });
+
+  test('Should return service calls and delegations in extensions.tracing', async () => {
+    const result = await gateway.execute({ query, extensions: { tracing: true } });
+    expect(result.data.author.books.length).toBeGreaterThan(0);
+    const { execution, spans: tracedSpans } = result.extensions.tracing;
+    expect(execution.resolvers.map(({ path }) => path)).toContainEqual(['author', 'books']);
+
+    const calls = tracedSpans.filter(span => span.kind === 'call');
+    expect(calls.map(({ service }) => service).sort()).toEqual(['Author', 'Book']);
+    expect(calls[0]).toMatchObject({ nodeID: 'gatewayTracing' });
+    const authorCall = calls.find(({ service }) => service === 'Author');
+    expect(authorCall.operation).toBe('query author');
+    expect(authorCall.resolvers.map(({ path }) => path)).toContainEqual(['author']);
+
+    const delegation = tracedSpans.find(span => span.kind === 'delegation');
+    expect(delegation).toMatchObject({
+      service: 'Book',
+      operation: 'query booksByAuthorIds',
+      path: ['author', 'books'],
+    });
+    expect(delegation.duration).toBeGreaterThan(0);
+  });
+
+  test('Should emit spans as events', async () => {
+    const result = await gateway.execute({ query });
+    expect(result.extensions).toBeUndefined();
+    expect(spans.map(({ kind, service }) => `${kind} ${service}`).sort()).toEqual([
+      'call Author',
+      'call Book',
+      'delegation Book',
+    ]);
+  });
+});
@@ -42,6 +42,19 @@ const relationDefinitions = {
     args: {
       authorId: 'parent.id',
     },
+    batch: {
+      operationName: 'booksByAuthorIds',
+      argName: 'authorIds',
+      parentKey: 'parent.id',
+      key: 'authorId',
+    },
+  },
+};
+
+// Authors rarely have more than a handful of books
+const costHints = {
+  Author: {
+    books: { multiplier: 5 },
   },
 };
 
@@ -72,6 +85,7 @@ const authorGraphQL = createGraphqlMixin({
   resolvers,
   relationships,
   relationDefinitions,
+  costHints,
 });
 
 export default {
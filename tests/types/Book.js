@@ -13,29 +13,32 @@ const schema = `
     book(id: Int!): Book,
     books: [Book],
     booksByAuthor(authorId: Int!): [Book],
+    booksByAuthorIds(authorIds: [Int!]): [Book],
   }
 `;
 
 const relationships = `
   extend type Book {
-    author: Author,
-    chapters: [Chapter],
+    author: Author @relation(query: "author", args: { id: "parent.authorId" }),
+    chapters: [Chapter] @relation(
+      query: "chaptersInBook",
+      args: { bookId: "parent.id" },
+      batch: { query: "chaptersByBookIds", argName: "bookIds", parentKey: "parent.id", key: "bookId" },
+    ),
   }
 `;
 
-const relationDefinitions = {
-  chapters: {
-    type: 'query',
-    operationName: 'chaptersInBook',
-    args: {
-      bookId: 'parent.id',
-    },
-  },
-  author: {
-    type: 'query',
-    operationName: 'author',
-    args: {
-      id: 'parent.authorId',
+const subscriptions = `
+  type Subscription {
+    bookCreated(authorId: Int): Book,
+  }
+`;
+
+const subscriptionDefinitions = {
+  bookCreated: {
+    event: 'book.created',
+    filter: {
+      authorId: 'payload.authorId',
     },
   },
 };
@@ -44,6 +47,7 @@ const queries = {
   books: () => books,
   book: (_, { id }) => books.find(book => book.id === id),
   booksByAuthor: (_, { authorId }) => books.filter(book => book.authorId === authorId),
+  booksByAuthorIds: (_, { authorIds }) => books.filter(book => authorIds.includes(book.authorId)),
 };
 
 const resolvers = {
@@ -55,7 +59,8 @@ const bookGraphQL = createGraphqlMixin({
   schema,
   resolvers,
   relationships,
-  relationDefinitions,
+  subscriptions,
+  subscriptionDefinitions,
 });
 
 export default {
@@ -12,6 +12,7 @@ const schema = `
     chapter(id: Int!): Chapter,
     chapters: [Chapter],
     chaptersInBook(bookId: Int!): [Chapter],
+    chaptersByBookIds(bookIds: [Int!]): [Chapter],
   }
 `;
 
@@ -35,6 +36,7 @@ const queries = {
   chapters: () => chapters,
   chapter: (_, { id }) => chapters.find(chapter => chapter.id === id),
   chaptersInBook: (_, { bookId }) => chapters.filter(chapter => chapter.bookId === bookId),
+  chaptersByBookIds: (_, { bookIds }) => chapters.filter(chapter => bookIds.includes(chapter.bookId)),
 };
 
 const resolvers = {